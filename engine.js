@@ -0,0 +1,1711 @@
+/**
+ * 规则引擎
+ * 
+ * 只包含规则的解析和应用，不依赖酒馆和jQuery。设置、对话信息和宏展开等功能都由调用方传入，可以直接在Node中运行。
+ */
+
+// 规则包格式标识及版本 (版本2起使用细分后的应用位置)
+export const RULE_BUNDLE_FORMAT = 'tag-blocker-bundle';
+export const RULE_BUNDLE_VERSION = 2;
+
+// 编译缓存最多保留的表达式数量 (测试器输入时会产生大量临时表达式)
+const COMPILED_CACHE_LIMIT = 500;
+
+/**
+ * @typedef {Object} TagBlockerTag
+ * @property {string} id 唯一ID
+ * @property {'tag'|'regex'|'extract'|'selector'|'keypath'} ruleType 规则类型 (tag=移除标签内容, regex=正则替换, extract=只保留标签内容, selector=按CSS选择器处理HTML元素, keypath=移除代码块中JSON/YAML的键)
+ * @property {string} startTag 开始标签
+ * @property {string} endTag 结束标签
+ * @property {boolean} enabled 是否启用
+ * @property {number|null} minDepth 最小楼层 (null表示不限制)
+ * @property {number|null} maxDepth 最大楼层 (null表示不限制)
+ * @property {'depth'|'floor'} depthMode 楼层计数方式 (depth=从最新消息倒数, floor=从对话开头正数)
+ * @property {boolean} markdownOnly 是否仅在Markdown中应用 (只修改聊天中显示的内容)
+ * @property {boolean} promptOnly 是否仅在提示中应用 (只修改发送给AI的内容)
+ * @property {boolean} runOnEdit 是否在编辑时应用 (编辑消息后重新处理显示内容)
+ * @property {number[]} placement 应用位置 (0=用户输入, 1=AI响应, 2=其他系统提示, 3=世界书, 4=作者注释, 5=角色卡, 6=对话示例, 7=用户设定)
+ * @property {string|null} regexPattern 正则表达式模式 (null表示使用标签模式)
+ * @property {string} replaceString 替换文本 (支持 $1、$<name> 和 {{match}})
+ * @property {string[]} trimStrings 插入替换文本前从捕获内容中移除的文本
+ * @property {'replace'|'summary'} replaceMode 替换方式 (replace=使用替换文本, summary=使用保存的摘要，没有摘要时使用替换文本)
+ * @property {'template'|'script'|'api'} summarySource 摘要来源 (template=模板, script=STscript脚本, api=通过连接配置请求)
+ * @property {string} summaryTemplate 摘要模板、脚本或通过连接配置发送的提示词
+ * @property {string} scriptName 规则名称
+ * @property {number} substituteRegex 查找表达式中的宏替换方式 (0=不替换, 1=原样替换, 2=转义后替换)
+ * @property {string|null} groupId 所属分组ID (null表示未分组)
+ * @property {'global'|'character'|'group'|'chat'} scope 作用范围 (global=全局, character=指定角色, group=指定群聊, chat=指定对话)
+ * @property {string[]} scopeTargets 作用对象 (角色头像文件名、群聊ID或对话ID)
+ * @property {'keep'|'strip-to-end'|'strip-tag'} unclosedMode 标签模式下未闭合标签的处理方式 (keep=保留, strip-to-end=移除到消息末尾, strip-tag=只移除标签本身)
+ * @property {boolean} tagCaseInsensitive 标签模式下是否忽略大小写
+ * @property {ExtractPair[]} extractPairs 提取模式下要保留的标签对
+ * @property {string} extractSeparator 提取模式下多个标签块之间的分隔符
+ * @property {string} extractTemplate 提取模式下包裹结果的模板 ({{match}}为所有标签块, $1、$2为各个标签块, 留空则不包裹)
+ * @property {'keep'|'drop'|'placeholder'} extractFallback 提取模式下找不到标签时的处理方式 (keep=保留原文, drop=丢弃消息, placeholder=使用占位文本)
+ * @property {string} extractPlaceholder 提取模式下找不到标签时使用的占位文本
+ * @property {string} selector 选择器模式下的CSS选择器
+ * @property {'remove'|'keep'} selectorMode 选择器模式下的处理方式 (remove=替换匹配的元素, keep=只保留匹配的元素)
+ * @property {string[]} keyPaths 键路径模式下要移除的键 (如 stats.hp、items.*.note)
+ * @property {RuleConditions} conditions 应用规则的附加条件
+ * @property {number} priority 预算模式下的优先级 (数值越大越先应用)
+ * @property {string} [source] 提供规则的扩展 (只有其他扩展注册的规则才有，这类规则不会被保存或导出)
+ */
+
+/**
+ * @typedef {Object} ExtractPair
+ * @property {string} startTag 开始标签
+ * @property {string} endTag 结束标签
+ */
+
+/**
+ * @typedef {Object} RuleConditions
+ * @property {'and'|'or'} logic 条件组合方式 (and=全部满足, or=满足任意一个)
+ * @property {RuleCondition[]} items 条件列表 (为空表示不限制)
+ */
+
+/**
+ * @typedef {Object} RuleCondition
+ * @property {'match'|'not-match'|'chat-length'|'prompt-tokens'|'author'|'generation'} type 条件类型
+ * @property {string} value 条件值 (正则表达式、消息数、token数、发言者名称或生成类型)
+ */
+
+/**
+ * @typedef {Object} TagBlock
+ * @property {number} start 开始标签的起始位置
+ * @property {number} end 结束标签的结束位置 (未闭合时为文本末尾或开始标签的结束位置)
+ * @property {string} content 标签之间的内容
+ * @property {boolean} [tagOnly] 是否只包含未闭合的开始标签 (不插入替换文本)
+ */
+
+/**
+ * @typedef {Object} RuleScopeContext
+ * @property {string[]} characters 当前对话中的角色头像文件名 (群聊时为所有成员)
+ * @property {string|null} groupId 当前群聊ID
+ * @property {string|null} chatId 当前对话ID
+ */
+
+/**
+ * @typedef {Object} MessageDepthInfo
+ * @property {number|null} floor 消息在对话中的楼层 (从0开始正数, null表示不在对话中)
+ * @property {number|null} depth 消息距最新一条消息的深度 (0表示最新消息, null表示不在对话中)
+ */
+
+/**
+ * @typedef {Object} RuleRunContext
+ * @property {RuleScopeContext} scope 当前对话的作用范围信息
+ * @property {Object[]} chat 当前对话的消息
+ * @property {Object<string, boolean>} excludedMessages 被排除的消息 (以消息的 extra.tag_blocker_id 为键)
+ * @property {string|null} generationType 正在进行的生成类型 (如 swipe、regenerate，没有生成时为null)
+ */
+
+/**
+ * @typedef {Object} ReplacementSpan
+ * @property {number} start 匹配内容在处理前文本中的起始位置
+ * @property {number} end 匹配内容在处理前文本中的结束位置
+ * @property {string} match 被替换的内容
+ * @property {string} replacement 替换后的内容
+ * @property {string[]} captures 捕获组
+ * @property {Object} [groups] 命名捕获组
+ */
+
+/**
+ * @typedef {Object} RuleTraceEntry
+ * @property {TagBlockerTag} tag 应用的规则
+ * @property {string} before 应用规则前的文本
+ * @property {string} after 应用规则后的文本
+ * @property {ReplacementSpan[]} spans 所有替换位置
+ */
+
+/**
+ * @typedef {Object} RuleAppliedEvent
+ * @property {string} id 规则ID
+ * @property {string} name 规则名称
+ * @property {string|null} source 提供规则的扩展 (用户自己的规则为null)
+ * @property {string} before 应用规则前的文本
+ * @property {string} after 应用规则后的文本
+ * @property {MessageDepthInfo|null} depthInfo 楼层信息
+ * @property {number} placement 应用位置
+ * @property {'prompt'|'display'} target 处理目标
+ */
+
+/**
+ * @typedef {Object} RuleApplyOptions
+ * @property {'prompt'|'display'} [target] 处理目标 (prompt=发送给AI的内容, display=聊天中显示的内容)
+ * @property {boolean} [isEdit] 是否由编辑消息触发
+ * @property {RuleTraceEntry[]|null} [trace] 规则应用记录 (不提供则不记录)
+ * @property {RuleRunContext} [run] 本次处理共用的对话信息 (不提供则视为空对话)
+ * @property {RuleEngineEnv} [env] 宏展开等外部功能 (不提供则不展开宏)
+ * @property {number} [promptTokens] 整个提示词的估算token数 (不提供则按对话内容估算)
+ * @property {TagBlockerTag[]} [rules] 要应用的规则 (按顺序应用)
+ * @property {Set<string>} [skipRules] 本次跳过的规则ID (如执行超时的正则规则)
+ * @property {(tag: TagBlockerTag, before: string, after: string, ms: number) => void} [onRuleRun] 每个规则执行后调用 (无论是否修改了文本)
+ * @property {(event: RuleAppliedEvent) => void} [onRuleApplied] 规则修改了文本时调用
+ */
+
+/**
+ * @typedef {Object} PayloadSegment
+ * @property {string} role 消息角色 (user/assistant/system)
+ * @property {string} text 文本内容
+ * @property {number|null} position 所属消息在请求消息列表中的位置 (null表示不属于消息列表)
+ * @property {MessageDepthInfo} [depthInfo] 已知的楼层信息 (提供时不再按文本映射楼层)
+ * @property {number} [placement] 已知的应用位置 (提供时不再按角色判断)
+ * @property {(text: string) => void} write 将处理后的文本写回请求体
+ */
+
+/**
+ * @typedef {Object} PayloadAdapter
+ * @property {string} name 适配器名称
+ * @property {(body: Object, url: string) => boolean} detect 判断请求体是否属于该格式
+ * @property {(body: Object) => PayloadSegment[]} extract 提取请求体中所有需要处理的文本
+ */
+
+/**
+ * @typedef {Object} RuleEngineEnv
+ * @property {(text: string, transform?: (value: string) => string) => string} substituteParams 展开 {{char}}、{{user}} 等宏 (transform用于处理展开的值)
+ * @property {(text: string) => number} estimateTokens 估算文本的token数
+ * @property {(message: string, data?: any) => void} log 记录调试信息
+ * @property {(message: string) => void} [warn] 提示用户规则无法执行 (如正则表达式无效)，每个表达式只提示一次 (不提供则使用log)
+ * @property {(tag: TagBlockerTag, depthInfo: MessageDepthInfo|null, span: ReplacementSpan) => string|null} [getSummary] 获取已保存的摘要 (没有摘要时返回null)
+ * @property {typeof DOMParser} [DOMParser] 选择器规则使用的HTML解析器 (默认使用全局的DOMParser，没有时选择器规则不生效)
+ */
+
+/**
+ * 应用位置的版本，旧版本只有用户输入、AI回复和系统提示三种位置
+ */
+export const PLACEMENT_VERSION = 2;
+
+/**
+ * 从系统提示中细分出来的位置
+ */
+export const PROMPT_SOURCE_PLACEMENTS = Object.freeze({
+    worldInfo: 3,
+    authorsNote: 4,
+    character: 5,
+    examples: 6,
+    persona: 7
+});
+
+// 酒馆正则脚本的应用位置 (1=用户输入, 2=AI输出, 3=斜杠命令, 5=世界书, 6=推理) 对应本扩展的位置，没有对应的位置会被丢弃
+const TAVERN_PLACEMENTS = Object.freeze({ 1: 0, 2: 1, 5: PROMPT_SOURCE_PLACEMENTS.worldInfo });
+
+/**
+ * 不依赖酒馆时使用的外部功能：不展开宏，按与酒馆相同的比例估算token数
+ * @type {RuleEngineEnv}
+ */
+export const DEFAULT_ENV = Object.freeze({
+    substituteParams: text => text,
+    estimateTokens: text => Math.ceil(text.length / 3.35),
+    log: () => {}
+});
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} string 文本
+ * @returns {string}
+ */
+function escapeRegex(string) {
+    return string.replace(/[/\-\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * 生成规则ID
+ * @returns {string}
+ */
+function generateId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        const random = Math.random() * 16 | 0;
+        return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * 创建一次处理中所有消息共用的对话信息，未提供的字段视为空对话
+ * @param {Partial<RuleRunContext>} [data] 对话信息
+ * @returns {RuleRunContext}
+ */
+export function createRuleRun(data = {}) {
+    return {
+        scope: data.scope || { characters: [], groupId: null, chatId: null },
+        chat: Array.isArray(data.chat) ? data.chat : [],
+        excludedMessages: data.excludedMessages || {},
+        generationType: data.generationType ?? null
+    };
+}
+
+/**
+ * 补全规则缺少的字段，兼容旧版本和导入的数据
+ * @param {Object} tag 规则
+ * @returns {TagBlockerTag}
+ */
+export function normalizeTag(tag) {
+    const toDepth = value => (value === null || value === undefined || value === '' || isNaN(Number(value))) ? null : Number(value);
+    
+    // 添加新字段的默认值
+    if (!tag.id) tag.id = generateId();
+    if (tag.enabled === undefined) tag.enabled = true;
+    if (tag.startTag === undefined) tag.startTag = '';
+    if (tag.endTag === undefined) tag.endTag = '';
+    tag.minDepth = toDepth(tag.minDepth);
+    tag.maxDepth = toDepth(tag.maxDepth);
+    if (tag.depthMode !== 'floor') tag.depthMode = 'depth';
+    if (tag.markdownOnly === undefined) tag.markdownOnly = false;
+    if (tag.promptOnly === undefined) tag.promptOnly = true;
+    if (tag.runOnEdit === undefined) tag.runOnEdit = true;
+    if (!Array.isArray(tag.placement)) tag.placement = [2]; // 默认为系统提示
+    if (!tag.regexPattern) tag.regexPattern = null;
+    if (tag.replaceString === undefined) tag.replaceString = '';
+    if (!Array.isArray(tag.trimStrings)) tag.trimStrings = [];
+    if (tag.replaceMode !== 'summary') tag.replaceMode = 'replace';
+    if (!['script', 'api'].includes(tag.summarySource)) tag.summarySource = 'template';
+    if (tag.summaryTemplate === undefined) tag.summaryTemplate = '';
+    if (tag.scriptName === undefined) tag.scriptName = `规则 ${tag.startTag}...${tag.endTag}`;
+    if (tag.substituteRegex === undefined) tag.substituteRegex = 0;
+    if (tag.groupId === undefined) tag.groupId = null;
+    if (!['character', 'group', 'chat'].includes(tag.scope)) tag.scope = 'global';
+    if (!Array.isArray(tag.scopeTargets)) tag.scopeTargets = [];
+    if (!['strip-to-end', 'strip-tag'].includes(tag.unclosedMode)) tag.unclosedMode = 'keep';
+    if (tag.tagCaseInsensitive === undefined) tag.tagCaseInsensitive = false;
+    if (!['tag', 'regex', 'extract', 'selector', 'keypath'].includes(tag.ruleType)) tag.ruleType = tag.regexPattern ? 'regex' : 'tag';
+    if (!Array.isArray(tag.extractPairs)) tag.extractPairs = [];
+    if (tag.extractSeparator === undefined) tag.extractSeparator = '\n\n';
+    if (tag.extractTemplate === undefined) tag.extractTemplate = '';
+    if (!['drop', 'placeholder'].includes(tag.extractFallback)) tag.extractFallback = 'keep';
+    if (tag.extractPlaceholder === undefined) tag.extractPlaceholder = '';
+    if (typeof tag.selector !== 'string') tag.selector = '';
+    if (tag.selectorMode !== 'keep') tag.selectorMode = 'remove';
+    if (!Array.isArray(tag.keyPaths)) tag.keyPaths = [];
+    if (!tag.conditions || !Array.isArray(tag.conditions.items)) tag.conditions = { logic: 'and', items: [] };
+    if (tag.conditions.logic !== 'or') tag.conditions.logic = 'and';
+    tag.priority = Number(tag.priority) || 0;
+    
+    return tag;
+}
+
+/**
+ * 导入脚本文件到标签列表
+ * 
+ * 同时支持酒馆正则脚本和本扩展导出的规则，规则的所有字段都会保留。
+ * @param {Object} scriptData 脚本数据
+ * @returns {TagBlockerTag}
+ */
+export function importScriptToTag(scriptData) {
+    // 酒馆正则脚本使用 findRegex / disabled 字段
+    const { findRegex, disabled, ...fields } = structuredClone(scriptData);
+    
+    // 酒馆正则脚本的应用位置编号与本扩展不同，需要转换 (本扩展导出的规则带有 ruleType 或 startTag 字段)
+    if (isTavernScript(scriptData) && Array.isArray(fields.placement)) {
+        fields.placement = [...new Set(fields.placement.map(value => TAVERN_PLACEMENTS[value]).filter(value => value !== undefined))];
+    }
+    
+    return normalizeTag({
+        ...fields,
+        id: scriptData.id || generateId(),
+        scriptName: scriptData.scriptName || '导入的脚本',
+        regexPattern: findRegex || scriptData.regexPattern || null,
+        enabled: disabled !== undefined ? !disabled : scriptData.enabled !== false
+    });
+}
+
+/**
+ * 检查数据是否为酒馆的正则脚本 (而不是本扩展导出的规则)
+ * @param {Object} scriptData 脚本数据
+ * @returns {boolean}
+ */
+function isTavernScript(scriptData) {
+    return typeof scriptData.findRegex === 'string' && scriptData.ruleType === undefined && scriptData.startTag === undefined;
+}
+
+/**
+ * 将规则转换为导出格式，兼容酒馆正则脚本的字段
+ * @param {TagBlockerTag} rule 规则
+ * @returns {Object} 导出的脚本数据
+ */
+export function exportTagToScript(rule) {
+    const { regexPattern, enabled, ...fields } = structuredClone(rule);
+    
+    return {
+        ...fields,
+        findRegex: regexPattern || '',
+        disabled: !enabled
+    };
+}
+
+/**
+ * 将本扩展旧版本保存的系统提示位置扩展为细分后的所有系统消息位置
+ * 
+ * 应用位置细分前，系统提示 (2) 包含世界书、角色卡等所有系统消息，迁移时一并勾选，保持原来的行为。
+ * 只用于迁移本扩展旧版本保存或导出的规则，酒馆正则脚本的位置编号由 importScriptToTag 转换。
+ * @param {Object} rule 规则或导出的脚本
+ * @returns {Object} 传入的规则
+ */
+export function widenSystemPlacement(rule) {
+    if (Array.isArray(rule.placement) && rule.placement.includes(2)) {
+        rule.placement = [...new Set([...rule.placement, ...Object.values(PROMPT_SOURCE_PLACEMENTS)])];
+    }
+    return rule;
+}
+
+/**
+ * 检查对象是否为可导入的脚本
+ * @param {any} data 数据
+ * @returns {boolean}
+ */
+export function isImportableScript(data) {
+    return !!data && typeof data === 'object' && !Array.isArray(data) &&
+        !!(data.findRegex || data.regexPattern || (data.startTag && data.endTag) || (data.ruleType === 'extract' && Array.isArray(data.extractPairs)) ||
+            (data.ruleType === 'selector' && data.selector) || (data.ruleType === 'keypath' && Array.isArray(data.keyPaths)));
+}
+
+/**
+ * 从导入的数据中提取所有脚本
+ * 
+ * 支持单个脚本、脚本数组、本扩展的规则包、角色卡内嵌的正则脚本以及包含脚本列表的正则预设。
+ * @param {any} data 导入的数据
+ * @returns {Object[]} 脚本列表
+ */
+export function extractImportedScripts(data) {
+    if (Array.isArray(data)) {
+        return data.flatMap(item => extractImportedScripts(item));
+    }
+    if (!data || typeof data !== 'object') {
+        return [];
+    }
+    
+    // 本扩展的规则包
+    if (data.format === RULE_BUNDLE_FORMAT) {
+        const rules = Array.isArray(data.rules) ? data.rules.filter(isImportableScript) : [];
+        return (Number(data.version) || 1) < 2 ? rules.map(rule => widenSystemPlacement(structuredClone(rule))) : rules;
+    }
+    
+    if (isImportableScript(data)) {
+        return [data];
+    }
+    
+    // 角色卡内嵌的正则脚本
+    const embeddedScripts = data.data?.extensions?.regex_scripts ?? data.extensions?.regex_scripts ?? data.regex_scripts;
+    if (Array.isArray(embeddedScripts)) {
+        return embeddedScripts.filter(isImportableScript);
+    }
+    
+    // 预设等其他容器：收集所有脚本列表
+    return Object.values(data)
+        .filter(Array.isArray)
+        .flat()
+        .filter(isImportableScript);
+}
+
+/**
+ * 检查规则是否作用于当前对话
+ * @param {TagBlockerTag} tag 规则
+ * @param {RuleScopeContext} scope 当前对话的作用范围信息
+ * @returns {boolean}
+ */
+export function isRuleInScope(tag, scope) {
+    switch (tag.scope) {
+        case 'character':
+            return tag.scopeTargets.some(avatar => scope.characters.includes(avatar));
+        case 'group':
+            return tag.scopeTargets.includes(scope.groupId);
+        case 'chat':
+            return tag.scopeTargets.includes(scope.chatId);
+        default:
+            return true;
+    }
+}
+
+/**
+ * 检查规则是否作用于指定的处理目标
+ * 
+ * 仅Markdown的规则只处理显示内容，仅提示词的规则只处理发送内容，两者都勾选或都未勾选时同时处理。
+ * @param {TagBlockerTag} tag 规则
+ * @param {'prompt'|'display'} target 处理目标
+ * @returns {boolean}
+ */
+export function isRuleForTarget(tag, target) {
+    if (target === 'display') {
+        return tag.markdownOnly || !tag.promptOnly;
+    }
+    return tag.promptOnly || !tag.markdownOnly;
+}
+
+/**
+ * 检查楼层是否被排除
+ * @param {RuleRunContext} run 本次处理共用的对话信息
+ * @param {number} floor 消息楼层
+ * @returns {boolean}
+ */
+export function isFloorExcluded(run, floor) {
+    const key = run.chat[floor]?.extra?.tag_blocker_id;
+    return !!key && run.excludedMessages[key] === true;
+}
+
+/**
+ * 获取消息在对话中的楼层
+ * @param {string} messageText 消息文本
+ * @param {Object[]} chat 对话消息
+ * @param {number} [before] 只查找此楼层之前的消息 (默认查找整个对话)
+ * @param {boolean} [allowPartial] 是否允许匹配带有名字前缀等额外格式的消息
+ * @returns {number|null} 消息的楼层，如果找不到则返回null
+ */
+function getMessageDepth(messageText, chat, before = undefined, allowPartial = false) {
+    const end = Math.min(before ?? chat.length, chat.length);
+    const text = messageText.trim();
+    if (!text) return null;
+    
+    // 从后往前查找，优先精确匹配
+    for (let i = end - 1; i >= 0; i--) {
+        if (chat[i].mes?.trim() === text) return i;
+    }
+    
+    if (allowPartial) {
+        for (let i = end - 1; i >= 0; i--) {
+            const mes = chat[i].mes?.trim();
+            if (mes && text.includes(mes)) return i;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * 将发送的消息映射到对话楼层，并计算距最新消息的深度
+ * 
+ * 按从后往前的顺序匹配，保证楼层单调递减，避免重复内容被映射到错误的楼层。
+ * @param {{text: string, role: string}[]} messages 发送的消息列表
+ * @param {Object[]} chat 对话消息
+ * @returns {MessageDepthInfo[]} 与消息列表一一对应的楼层信息
+ */
+export function resolveMessageDepths(messages, chat) {
+    const results = messages.map(() => ({ floor: null, depth: null }));
+    if (!Array.isArray(chat)) {
+        return results;
+    }
+    
+    const chatLength = chat.length;
+    let searchEnd = chatLength;
+    
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const { text, role } = messages[i];
+        if (!text) continue;
+        
+        // 系统消息只做精确匹配，避免系统提示中恰好包含某条短消息时被误判
+        const floor = getMessageDepth(text, chat, searchEnd, role === 'user' || role === 'assistant');
+        if (floor === null) continue;
+        
+        results[i] = { floor: floor, depth: chatLength - 1 - floor };
+        searchEnd = floor;
+    }
+    
+    return results;
+}
+
+/**
+ * 按照酒馆正则脚本的规则生成替换内容
+ * 
+ * {{match}} 等同于 $0，$n 和 $<name> 插入捕获内容前会先移除修剪文本，最后展开替换结果中的宏。
+ * @param {string} replaceStr 替换字符串
+ * @param {string} match 匹配的内容
+ * @param {string[]} captures 捕获组
+ * @param {Object|undefined} groups 命名捕获组
+ * @param {string[]} trimStrings 修剪文本
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 替换后的内容
+ */
+export function expandReplacement(replaceStr, match, captures, groups, trimStrings = [], env = DEFAULT_ENV) {
+    const template = replaceStr.replace(/{{match}}/gi, '$0');
+    
+    const expanded = template.replaceAll(/\$(\d+)|\$<([^>]+)>/g, (_, num, groupName) => {
+        let value;
+        if (num) {
+            value = Number(num) === 0 ? match : captures[Number(num) - 1];
+        } else {
+            value = groups?.[groupName];
+        }
+        if (!value) return '';
+        
+        return trimStrings.reduce((result, trimString) => result.replaceAll(env.substituteParams(trimString), ''), value);
+    });
+    
+    return env.substituteParams(expanded);
+}
+
+/**
+ * 执行替换并记录每处替换的位置
+ * @param {string} text 原始文本
+ * @param {RegExp} regex 正则表达式
+ * @param {string} replaceStr 替换字符串
+ * @param {string[]} trimStrings 修剪文本
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 处理后的文本
+ */
+export function replaceWithSpans(text, regex, replaceStr, trimStrings = [], spans = null, env = DEFAULT_ENV) {
+    return text.replace(regex, (...args) => {
+        const groups = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+        args.pop(); // 原始文本
+        const offset = args.pop();
+        const [match, ...captures] = args;
+        
+        const replacement = expandReplacement(replaceStr, match, captures, groups, trimStrings, env);
+        spans?.push({ start: offset, end: offset + match.length, match: match, replacement: replacement, captures: captures, groups: groups });
+        return replacement;
+    });
+}
+
+/**
+ * 解析 /pattern/flags 形式的正则表达式字符串
+ * @param {string} regexStr 正则表达式字符串
+ * @returns {RegExp} 正则表达式
+ * @throws {SyntaxError} 表达式或标志无效时抛出
+ */
+export function parseRegexString(regexStr) {
+    // 提取正则表达式的标志
+    let flags = '';
+    let source = regexStr;
+    const lastSlashIndex = regexStr.lastIndexOf('/');
+    if (regexStr.startsWith('/') && lastSlashIndex > 0) {
+        flags = regexStr.substring(lastSlashIndex + 1);
+        source = regexStr.substring(1, lastSlashIndex);
+    } else if (regexStr.startsWith('/')) {
+        // 只有开头的斜杠，按原样解析
+        source = regexStr.substring(1);
+    }
+    
+    return new RegExp(source, flags);
+}
+
+/** @type {Map<string, {value?: RegExp, error?: Error, reported?: boolean}>} 已编译的表达式，以表达式字符串为键 */
+const compiledCache = new Map();
+
+/**
+ * 从缓存中获取编译好的正则表达式，编译失败的结果也会被缓存
+ * 
+ * 缓存的表达式会被多次使用，带有g标志时调用方需要自行重置 lastIndex。
+ * @param {string} key 缓存键
+ * @param {() => RegExp} compile 编译函数
+ * @param {(error: Error) => void} [onError] 表达式无效时调用，每次编译只调用一次
+ * @returns {RegExp} 正则表达式
+ * @throws {SyntaxError} 表达式无效时抛出
+ */
+function getCompiledRegex(key, compile, onError) {
+    let entry = compiledCache.get(key);
+    if (!entry) {
+        if (compiledCache.size >= COMPILED_CACHE_LIMIT) {
+            compiledCache.clear();
+        }
+        try {
+            entry = { value: compile() };
+        } catch (error) {
+            entry = { error: error };
+        }
+        compiledCache.set(key, entry);
+    }
+    
+    if (entry.error) {
+        if (onError && !entry.reported) {
+            entry.reported = true;
+            onError(entry.error);
+        }
+        throw entry.error;
+    }
+    return entry.value;
+}
+
+/**
+ * 解析 /pattern/flags 形式的正则表达式字符串，使用编译缓存
+ * @param {string} regexStr 正则表达式字符串
+ * @param {(error: Error) => void} [onError] 表达式无效时调用，每次编译只调用一次
+ * @returns {RegExp} 正则表达式
+ * @throws {SyntaxError} 表达式或标志无效时抛出
+ */
+export function getCachedRegexString(regexStr, onError) {
+    return getCompiledRegex(`regex:${regexStr}`, () => parseRegexString(regexStr), onError);
+}
+
+/**
+ * 清空已编译的表达式，规则被修改后调用
+ */
+export function clearCompiledRules() {
+    compiledCache.clear();
+}
+
+/**
+ * 展开查找表达式中的 {{char}}、{{user}} 等宏
+ * @param {string} regexStr 正则表达式字符串
+ * @param {number} substituteRegex 替换方式 (0=不替换, 1=原样替换, 2=转义后替换)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 展开后的正则表达式字符串
+ */
+export function substituteFindRegex(regexStr, substituteRegex, env = DEFAULT_ENV) {
+    switch (Number(substituteRegex)) {
+        case 1:
+            return env.substituteParams(regexStr);
+        case 2:
+            return env.substituteParams(regexStr, escapeRegex);
+        default:
+            return regexStr;
+    }
+}
+
+/**
+ * 根据正则表达式处理文本
+ * @param {string} text 原始文本
+ * @param {TagBlockerTag} tag 正则规则
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 处理后的文本
+ */
+export function processWithRegex(text, tag, spans = null, env = DEFAULT_ENV) {
+    let regex;
+    try {
+        // 无效的表达式只在编译时提示一次，之后直接跳过
+        regex = getCachedRegexString(substituteFindRegex(tag.regexPattern, tag.substituteRegex, env),
+            error => (env.warn ?? env.log)(`规则 "${tag.scriptName}" 的正则表达式无效，已跳过: ${error.message}`));
+    } catch {
+        return text;
+    }
+    
+    regex.lastIndex = 0;
+    return replaceWithSpans(text, regex, tag.replaceString, tag.trimStrings, spans, env);
+}
+
+/**
+ * 构建匹配标签的正则表达式源码
+ * 
+ * 形如 <name> 的开始标签可以带有属性（如 <details open>），结束标签允许多余的空白（如 </details >）。
+ * @param {string} tagText 标签文本
+ * @param {boolean} isStart 是否为开始标签
+ * @returns {string} 正则表达式源码
+ */
+export function buildTagPattern(tagText, isStart) {
+    const htmlTag = /^<(\/?)([\w:.-]+)\s*>$/.exec(tagText);
+    if (!htmlTag) return escapeRegex(tagText);
+    
+    const [, slash, name] = htmlTag;
+    return isStart && !slash
+        ? `<${escapeRegex(name)}(?:\\s[^>]*)?>`
+        : `<${slash}${escapeRegex(name)}\\s*>`;
+}
+
+/**
+ * 获取同时匹配开始标签和结束标签的正则表达式 (第一个捕获组为开始标签)
+ * @param {TagBlockerTag} tag 规则
+ * @returns {RegExp}
+ */
+function getTagTokenRegex(tag) {
+    const flags = tag.tagCaseInsensitive ? 'gi' : 'g';
+    return getCompiledRegex(`tag:${flags}:${tag.startTag}\u0000${tag.endTag}`,
+        () => new RegExp(`(${buildTagPattern(tag.startTag, true)})|(${buildTagPattern(tag.endTag, false)})`, flags));
+}
+
+/**
+ * 按嵌套层级查找标签块
+ * 
+ * 开始标签和结束标签成对计数，只返回最外层的标签块。多余的结束标签保持不变。
+ * @param {string} text 文本
+ * @param {TagBlockerTag} tag 规则
+ * @returns {TagBlock[]} 标签块
+ */
+export function findTagBlocks(text, tag) {
+    const sameTag = tag.startTag === tag.endTag;
+    const tokenRegex = getTagTokenRegex(tag);
+    tokenRegex.lastIndex = 0;
+    
+    /** @type {TagBlock[]} */
+    const blocks = [];
+    let depth = 0;
+    let blockStart = 0;
+    let contentStart = 0;
+    
+    for (const token of text.matchAll(tokenRegex)) {
+        // 开始和结束标签相同时无法嵌套，按出现顺序交替匹配
+        const isOpen = sameTag ? depth === 0 : token[1] !== undefined;
+        
+        if (isOpen) {
+            if (depth === 0) {
+                blockStart = token.index;
+                contentStart = token.index + token[0].length;
+            }
+            depth++;
+        } else if (depth > 0) {
+            depth--;
+            if (depth === 0) {
+                blocks.push({
+                    start: blockStart,
+                    end: token.index + token[0].length,
+                    content: text.substring(contentStart, token.index)
+                });
+            }
+        }
+    }
+    
+    // 处理未闭合的标签
+    if (depth > 0) {
+        if (tag.unclosedMode === 'strip-to-end') {
+            blocks.push({ start: blockStart, end: text.length, content: text.substring(contentStart) });
+        } else if (tag.unclosedMode === 'strip-tag') {
+            blocks.push({ start: blockStart, end: contentStart, content: '', tagOnly: true });
+        }
+    }
+    
+    return blocks;
+}
+
+/**
+ * 使用标签对文本进行处理
+ * @param {string} text 原始文本
+ * @param {TagBlockerTag} tag 标签规则
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 处理后的文本
+ */
+export function processWithTags(text, tag, spans = null, env = DEFAULT_ENV) {
+    const blocks = findTagBlocks(text, tag);
+    if (blocks.length === 0) return text;
+    
+    let result = '';
+    let cursor = 0;
+    
+    for (const block of blocks) {
+        const match = text.substring(block.start, block.end);
+        const replacement = block.tagOnly ? '' : expandReplacement(tag.replaceString, match, [block.content], undefined, tag.trimStrings, env);
+        
+        spans?.push({ start: block.start, end: block.end, match: match, replacement: replacement, captures: [block.content] });
+        result += text.substring(cursor, block.start) + replacement;
+        cursor = block.end;
+    }
+    
+    return result + text.substring(cursor);
+}
+
+/**
+ * 检查规则是否可以使用摘要替换 (只有逐处替换匹配内容的规则可以)
+ * @param {TagBlockerTag} tag 规则
+ * @returns {boolean}
+ */
+export function canUseSummary(tag) {
+    return tag.ruleType === 'tag' || tag.ruleType === 'regex' || (tag.ruleType === 'selector' && tag.selectorMode === 'remove');
+}
+
+/**
+ * 查找标签、正则或选择器规则匹配的所有内容
+ * @param {string} text 文本
+ * @param {TagBlockerTag} tag 标签、正则或选择器规则
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {ReplacementSpan[]} 按出现顺序排列的匹配内容 (替换内容为替换文本展开的结果)
+ */
+export function findRuleSpans(text, tag, env = DEFAULT_ENV) {
+    const spans = [];
+    if (tag.ruleType === 'regex') {
+        processWithRegex(text, tag, spans, env);
+    } else if (tag.ruleType === 'selector') {
+        spans.push(...findSelectorSpans(text, tag, env));
+    } else {
+        processWithTags(text, tag, spans, env);
+    }
+    return spans;
+}
+
+/**
+ * 摘要模式：用保存的摘要替换匹配的内容，没有摘要的内容按替换文本处理
+ * @param {string} text 原始文本
+ * @param {TagBlockerTag} tag 标签或正则规则
+ * @param {MessageDepthInfo|null} depthInfo 楼层信息
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 处理后的文本
+ */
+export function processWithSummary(text, tag, depthInfo, spans = null, env = DEFAULT_ENV) {
+    const matches = findRuleSpans(text, tag, env);
+    if (matches.length === 0) return text;
+    
+    let result = '';
+    let cursor = 0;
+    
+    for (const span of matches) {
+        const replacement = env.getSummary?.(tag, depthInfo, span) ?? span.replacement;
+        spans?.push({ ...span, replacement: replacement });
+        result += text.substring(cursor, span.start) + replacement;
+        cursor = span.end;
+    }
+    
+    return result + text.substring(cursor);
+}
+
+/**
+ * 只保留文本中的标签块，找不到标签时按规则设置处理
+ * @param {string} text 原始文本
+ * @param {TagBlockerTag} tag 提取规则
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 处理后的文本
+ */
+export function processWithExtract(text, tag, spans = null, env = DEFAULT_ENV) {
+    const blocks = tag.extractPairs
+        .filter(pair => pair.startTag && pair.endTag)
+        .flatMap(pair => findTagBlocks(text, { ...tag, startTag: pair.startTag, endTag: pair.endTag }))
+        .filter(block => !block.tagOnly)
+        .sort((a, b) => a.start - b.start);
+    
+    // 按出现顺序保留标签块，跳过与前一个标签块重叠的部分
+    const extracted = [];
+    let cursor = 0;
+    for (const block of blocks) {
+        if (block.start < cursor) continue;
+        extracted.push(text.substring(block.start, block.end));
+        cursor = block.end;
+    }
+    
+    let result;
+    if (extracted.length > 0) {
+        const joined = extracted.join(tag.extractSeparator);
+        result = tag.extractTemplate ? expandReplacement(tag.extractTemplate, joined, extracted, undefined, tag.trimStrings, env) : joined;
+    } else if (tag.extractFallback === 'drop') {
+        result = '';
+    } else if (tag.extractFallback === 'placeholder') {
+        result = env.substituteParams(tag.extractPlaceholder);
+    } else {
+        return text;
+    }
+    
+    if (result !== text) {
+        spans?.push({ start: 0, end: text.length, match: text, replacement: result, captures: extracted });
+    }
+    
+    return result;
+}
+
+// 没有结束标签的HTML元素
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// 内容按纯文本解析的元素，其中的 < 不是标签
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// 选择器规则解析前写入开始标签的序号属性
+const ELEMENT_INDEX_ATTRIBUTE = 'data-tag-blocker-index';
+
+/**
+ * 查找开始标签的结束位置 (跳过属性值中的 >)
+ * @param {string} text 文本
+ * @param {number} start 开始标签的位置
+ * @returns {number} 开始标签之后的位置 (开始标签不完整时返回-1)
+ */
+function findStartTagEnd(text, start) {
+    let quote = null;
+    for (let index = start + 1; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return index + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @typedef {Object} HtmlTagToken
+ * @property {number} start 标签在原文中的位置
+ * @property {number} end 标签之后的位置
+ * @property {string} name 标签名
+ * @property {boolean} closing 是否为结束标签
+ */
+
+/**
+ * 按顺序列出文本中的HTML标签
+ * 
+ * 与HTML解析器一致，跳过注释、属性值以及 script、style 等元素的内容，其中的 < 不会被当作标签。
+ * @param {string} text 文本
+ * @returns {HtmlTagToken[]}
+ */
+function scanHtmlTags(text) {
+    const tags = [];
+    const pattern = /<!--|<(\/?)([a-zA-Z][\w:-]*)(?=[\s/>])/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0] === '<!--') {
+            // 没有结束的注释一直延续到文本末尾
+            const commentEnd = text.indexOf('-->', match.index + 4);
+            if (commentEnd === -1) break;
+            pattern.lastIndex = commentEnd + 3;
+            continue;
+        }
+        
+        const end = findStartTagEnd(text, match.index);
+        tags.push({ start: match.index, end: end === -1 ? text.length : end, name: match[2], closing: !!match[1] });
+        if (end === -1) break;
+        pattern.lastIndex = end;
+        
+        if (!match[1] && RAW_TEXT_ELEMENTS.has(match[2].toLowerCase())) {
+            const closeStart = text.toLowerCase().indexOf(`</${match[2].toLowerCase()}`, end);
+            pattern.lastIndex = closeStart === -1 ? text.length : closeStart;
+        }
+    }
+    return tags;
+}
+
+/**
+ * 查找元素在原文中的结束位置，嵌套的同名元素按层级配对
+ * @param {string} text 文本
+ * @param {HtmlTagToken[]} tags 文本中的所有标签
+ * @param {number} position 元素的开始标签在标签列表中的位置
+ * @param {number} limit 搜索结束标签的范围 (通常为下一个不在此元素内的元素的位置)
+ * @returns {number} 元素之后的位置 (没有结束标签时为limit)
+ */
+function findElementEnd(text, tags, position, limit) {
+    const open = tags[position];
+    const name = open.name.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || text[open.end - 2] === '/') return open.end;
+    
+    const following = [];
+    for (let index = position + 1; index < tags.length && tags[index].start < limit; index++) {
+        following.push(tags[index]);
+    }
+    
+    let level = 1;
+    for (const item of following) {
+        if (item.name.toLowerCase() !== name) continue;
+        if (!item.closing) {
+            level++;
+        } else if (--level === 0) {
+            return item.end;
+        }
+    }
+    
+    // 没有结束标签 (如省略了 </p> 或被截断)，到外层元素的结束标签或下一个元素之前为止
+    const opened = [];
+    for (const item of following) {
+        const tagName = item.name.toLowerCase();
+        if (!item.closing) {
+            if (!VOID_ELEMENTS.has(tagName)) opened.push(tagName);
+        } else if (opened.includes(tagName)) {
+            opened.length = opened.lastIndexOf(tagName);
+        } else {
+            return item.start;
+        }
+    }
+    return limit;
+}
+
+/**
+ * 查找文本中与选择器规则匹配的HTML元素
+ * 
+ * 文本按HTML解析后用CSS选择器查找元素，再根据写入开始标签的序号找回元素在原文中的位置，
+ * 只替换匹配的部分，其余文本保持原样。匹配的元素互相嵌套时只保留最外层的元素。
+ * @param {string} text 文本
+ * @param {TagBlockerTag} tag 选择器规则
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {ReplacementSpan[]} 按出现顺序排列的匹配元素 ($1为元素的文本内容)
+ */
+export function findSelectorSpans(text, tag, env = DEFAULT_ENV) {
+    const Parser = env.DOMParser ?? globalThis.DOMParser;
+    if (!tag.selector || !Parser || !text.includes('<')) return [];
+    
+    // 给每个开始标签加上在标签列表中的序号，解析后通过序号找回元素在原文中的位置
+    const tags = scanHtmlTags(text);
+    let marked = '';
+    let cursor = 0;
+    tags.forEach((item, position) => {
+        if (item.closing) return;
+        const nameEnd = item.start + 1 + item.name.length;
+        marked += `${text.substring(cursor, nameEnd)} ${ELEMENT_INDEX_ATTRIBUTE}="${position}"`;
+        cursor = nameEnd;
+    });
+    marked += text.substring(cursor);
+    
+    let elements;
+    try {
+        const doc = new Parser().parseFromString(marked, 'text/html');
+        elements = Array.from(doc.querySelectorAll(tag.selector));
+    } catch (error) {
+        env.log(`选择器 "${tag.selector}" 无效: ${error.message}`);
+        return [];
+    }
+    
+    const spans = [];
+    const matched = [];
+    for (const element of elements) {
+        const position = Number(element.getAttribute(ELEMENT_INDEX_ATTRIBUTE));
+        if (!tags[position] || tags[position].closing || matched.some(parent => parent.contains(element))) continue;
+        matched.push(element);
+        
+        // 下一个不在此元素内的元素是结束位置的上限
+        const next = tags.findIndex((item, index) => index > position && !item.closing &&
+            !element.querySelector(`[${ELEMENT_INDEX_ATTRIBUTE}="${index}"]`));
+        const limit = next === -1 ? text.length : tags[next].start;
+        
+        const start = tags[position].start;
+        const end = findElementEnd(text, tags, position, limit);
+        const match = text.substring(start, end);
+        const content = String(element.textContent || '').trim();
+        spans.push({ start: start, end: end, match: match, replacement: expandReplacement(tag.replaceString, match, [content], undefined, tag.trimStrings, env), captures: [content] });
+    }
+    
+    return spans.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 按CSS选择器移除或只保留HTML元素
+ * @param {string} text 原始文本
+ * @param {TagBlockerTag} tag 选择器规则
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {string} 处理后的文本
+ */
+export function processWithSelector(text, tag, spans = null, env = DEFAULT_ENV) {
+    const matches = findSelectorSpans(text, tag, env);
+    if (matches.length === 0) return text;
+    
+    if (tag.selectorMode === 'keep') {
+        // 只保留匹配的元素
+        const result = matches.map(span => span.match).join('\n');
+        spans?.push({ start: 0, end: text.length, match: text, replacement: result, captures: matches.map(span => span.match) });
+        return result;
+    }
+    
+    let result = '';
+    let cursor = 0;
+    for (const span of matches) {
+        spans?.push(span);
+        result += text.substring(cursor, span.start) + span.replacement;
+        cursor = span.end;
+    }
+    
+    return result + text.substring(cursor);
+}
+
+/**
+ * 解析键路径，如 stats.hp、items[0].name、items.*.note
+ * @param {string} path 键路径
+ * @returns {string[]} 路径中的各个键 (* 匹配任意键或数组元素)
+ */
+function parseKeyPath(path) {
+    return path.trim().replace(/\[(\d+|\*)\]/g, '.$1').split('.').map(key => key.trim()).filter(key => key);
+}
+
+/**
+ * 从JSON数据中移除键路径对应的值
+ * @param {any} value JSON数据
+ * @param {string[]} path 解析后的键路径
+ * @returns {boolean} 是否移除了内容
+ */
+function removeJsonKeyPath(value, path) {
+    if (!value || typeof value !== 'object' || path.length === 0) return false;
+    
+    const [key, ...rest] = path;
+    const keys = key === '*' ? Object.keys(value) : (Object.hasOwn(value, key) ? [key] : []);
+    if (keys.length === 0) return false;
+    
+    if (rest.length > 0) {
+        return keys.reduce((removed, item) => removeJsonKeyPath(value[item], rest) || removed, false);
+    }
+    
+    if (Array.isArray(value)) {
+        keys.map(Number).sort((a, b) => b - a).forEach(index => value.splice(index, 1));
+    } else {
+        keys.forEach(item => delete value[item]);
+    }
+    return true;
+}
+
+/**
+ * 获取YAML行的缩进 (空行和注释返回null)
+ * @param {string} line 行
+ * @returns {number|null}
+ */
+function getYamlIndent(line) {
+    const trimmed = line.trimStart();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+    return line.length - trimmed.length;
+}
+
+/**
+ * @typedef {Object} YamlEntry
+ * @property {string} key 键名 (列表项为序号)
+ * @property {number} start 开始行
+ * @property {number} end 结束行 (不包含)
+ * @property {boolean} isItem 是否为列表项
+ * @property {number|null} dashColumn 与列表标记在同一行的键所属列表标记的位置
+ * @property {YamlEntry[]} children 值中的键或列表项
+ */
+
+/**
+ * 按缩进解析YAML块中的键和列表项
+ * 
+ * 只支持块格式 (每个键一行，按缩进嵌套)，{a: 1} 这样的行内格式作为普通值处理。
+ * @param {string[]} view 用于分析的行，解析列表项时会把 "- " 替换为空格
+ * @param {string[]} source 原始的行
+ * @param {number} start 开始行
+ * @param {number} end 结束行 (不包含)
+ * @returns {YamlEntry[]}
+ */
+function parseYamlBlock(view, source, start, end) {
+    let indent = null;
+    for (let index = start; index < end && indent === null; index++) {
+        indent = getYamlIndent(view[index]);
+    }
+    if (indent === null) return [];
+    
+    const isItemLine = index => /^-(\s|$)/.test(view[index].substring(indent));
+    const entries = [];
+    let itemIndex = 0;
+    
+    for (let index = start; index < end; index++) {
+        if (getYamlIndent(view[index]) !== indent) continue;
+        
+        const isItem = isItemLine(index);
+        let key;
+        if (isItem) {
+            key = String(itemIndex++);
+        } else {
+            const match = view[index].substring(indent).match(/^("(?:[^"\\]|\\.)*"|'[^']*'|[^\s#'"][^:#]*?)\s*:(\s|$)/);
+            if (!match) continue;
+            key = match[1].replace(/^(["'])(.*)\1$/, '$2');
+        }
+        
+        // 到下一个缩进不超过当前键的行为止，键的值为列表时列表项可以与键对齐
+        let entryEnd = index + 1;
+        for (let next = index + 1; next < end; next++) {
+            const nextIndent = getYamlIndent(view[next]);
+            if (nextIndent === null) continue;
+            if (nextIndent < indent || (nextIndent === indent && (isItem || !isItemLine(next)))) break;
+            entryEnd = next + 1;
+        }
+        
+        const dashColumn = source[index].substring(0, indent).lastIndexOf('-');
+        /** @type {YamlEntry} */
+        const entry = { key: key, start: index, end: entryEnd, isItem: isItem, dashColumn: !isItem && dashColumn !== -1 ? dashColumn : null, children: [] };
+        if (isItem) {
+            // 把 "- " 当作缩进，列表项的内容从同一行开始
+            view[index] = view[index].substring(0, indent) + ' ' + view[index].substring(indent + 1);
+            entry.children = parseYamlBlock(view, source, index, entryEnd);
+        } else {
+            entry.children = parseYamlBlock(view, source, index + 1, entryEnd);
+        }
+        
+        entries.push(entry);
+        index = entryEnd - 1;
+    }
+    
+    return entries;
+}
+
+/**
+ * 从YAML文本中移除键路径对应的内容
+ * @param {string} yaml YAML文本
+ * @param {string[][]} paths 解析后的键路径
+ * @returns {string} 处理后的YAML文本
+ */
+function removeYamlKeyPaths(yaml, paths) {
+    const source = yaml.split('\n');
+    const entries = parseYamlBlock(source.slice(), source, 0, source.length);
+    
+    /** @type {YamlEntry[]} */
+    const removals = [];
+    const collect = (items, path) => {
+        const [key, ...rest] = path;
+        for (const entry of items) {
+            if (key !== '*' && entry.key !== key) continue;
+            if (rest.length === 0) {
+                removals.push(entry);
+            } else {
+                collect(entry.children, rest);
+            }
+        }
+    };
+    paths.forEach(path => collect(entries, path));
+    if (removals.length === 0) return yaml;
+    
+    const removed = new Set();
+    removals.forEach(entry => {
+        for (let index = entry.start; index < entry.end; index++) removed.add(index);
+    });
+    
+    // 移除列表项的第一个键时，把列表标记移到列表项剩下的第一行
+    for (const entry of removals.sort((a, b) => a.start - b.start)) {
+        if (entry.dashColumn === null || removals.some(other => other.isItem && other.start === entry.start)) continue;
+        
+        const column = entry.dashColumn;
+        let moved = false;
+        for (let index = entry.end; index < source.length; index++) {
+            const indent = getYamlIndent(source[index]);
+            if (indent === null || removed.has(index)) continue;
+            if (indent > column) {
+                source[index] = source[index].substring(0, column) + '- ' + source[index].substring(column + 2);
+                moved = true;
+            }
+            break;
+        }
+        
+        // 列表项的键全部被移除时保留一个空对象
+        if (!moved) {
+            source[entry.start] = ' '.repeat(column) + '- {}';
+            removed.delete(entry.start);
+        }
+    }
+    
+    return source.filter((_, index) => !removed.has(index)).join('\n');
+}
+
+/**
+ * 从代码块中的JSON或YAML数据移除指定的键
+ * 
+ * 只处理标记为 json 或 yaml/yml 的代码块，无法解析的JSON保持原样。
+ * @param {string} text 原始文本
+ * @param {TagBlockerTag} tag 键路径规则
+ * @param {ReplacementSpan[]|null} spans 替换位置的记录列表 (null表示不记录)
+ * @returns {string} 处理后的文本
+ */
+export function processWithKeyPaths(text, tag, spans = null) {
+    const paths = tag.keyPaths.map(parseKeyPath).filter(path => path.length > 0);
+    if (paths.length === 0 || !text.includes('```')) return text;
+    
+    return text.replace(/(```[ \t]*(json5?|jsonc|ya?ml)[^\n]*\n)([\s\S]*?)(\n[ \t]*```)/gi, (match, open, language, body, close, offset) => {
+        let result = body;
+        if (language.toLowerCase().startsWith('json')) {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch {
+                return match;
+            }
+            
+            const removed = paths.reduce((changed, path) => removeJsonKeyPath(data, path) || changed, false);
+            if (!removed) return match;
+            
+            // 保持原来的缩进风格
+            const indent = body.match(/\n([ \t]+)\S/)?.[1] ?? (body.trim().includes('\n') ? '  ' : '');
+            result = JSON.stringify(data, null, indent || undefined);
+        } else {
+            result = removeYamlKeyPaths(body, paths);
+        }
+        
+        if (result === body) return match;
+        
+        const replacement = open + result + close;
+        spans?.push({ start: offset, end: offset + match.length, match: match, replacement: replacement, captures: [body] });
+        return replacement;
+    });
+}
+
+/**
+ * 估算对话的token数，在没有完整提示词时代替提示词的token数
+ * @param {Object[]} chat 对话消息
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {number}
+ */
+export function estimateChatTokens(chat, env = DEFAULT_ENV) {
+    if (!Array.isArray(chat)) return 0;
+    
+    return chat.reduce((total, message) => total + (message.mes && !message.is_system ? env.estimateTokens(message.mes) : 0), 0);
+}
+
+/**
+ * 获取应用规则时会执行的所有正则表达式 (包括条件中的表达式)
+ * 
+ * 无效的表达式不包含在内，处理时会被跳过。选择器和键路径规则只使用内置的表达式。
+ * @param {TagBlockerTag} tag 规则
+ * @param {RuleEngineEnv} [env] 宏展开等外部功能
+ * @returns {RegExp[]}
+ */
+export function getRuleRegexes(tag, env = DEFAULT_ENV) {
+    const compilers = [];
+    if (tag.ruleType === 'regex') {
+        compilers.push(() => getCachedRegexString(substituteFindRegex(tag.regexPattern, tag.substituteRegex, env)));
+    } else if (tag.ruleType === 'tag') {
+        compilers.push(() => getTagTokenRegex(tag));
+    } else if (tag.ruleType === 'extract') {
+        for (const pair of tag.extractPairs.filter(pair => pair.startTag && pair.endTag)) {
+            compilers.push(() => getTagTokenRegex({ ...tag, startTag: pair.startTag, endTag: pair.endTag }));
+        }
+    }
+    
+    for (const condition of tag.conditions?.items || []) {
+        if (condition.type === 'match' || condition.type === 'not-match') {
+            compilers.push(() => getCachedRegexString(condition.value));
+        }
+    }
+    
+    const regexes = [];
+    for (const compile of compilers) {
+        try {
+            regexes.push(compile());
+        } catch {
+            // 无效的表达式在处理时提示
+        }
+    }
+    return regexes;
+}
+
+/**
+ * 检查单个条件是否满足
+ * @param {RuleCondition} condition 条件
+ * @param {string} text 文本
+ * @param {MessageDepthInfo|null} depthInfo 楼层信息
+ * @param {RuleApplyOptions} options 处理选项
+ * @returns {boolean}
+ */
+export function checkRuleCondition(condition, text, depthInfo, options) {
+    const run = options.run || createRuleRun();
+    const env = options.env || DEFAULT_ENV;
+    
+    switch (condition.type) {
+        case 'match':
+        case 'not-match': {
+            let regex;
+            try {
+                regex = getCachedRegexString(condition.value,
+                    error => (env.warn ?? env.log)(`条件中的正则表达式无效，条件视为不满足: ${condition.value} (${error.message})`));
+            } catch {
+                return false;
+            }
+            regex.lastIndex = 0;
+            return regex.test(text) === (condition.type === 'match');
+        }
+        case 'chat-length':
+            return run.chat.length > Number(condition.value);
+        case 'prompt-tokens':
+            return (options.promptTokens ?? estimateChatTokens(run.chat, env)) > Number(condition.value);
+        case 'author': {
+            // 只有能对应到对话楼层的消息才知道发言者
+            const message = depthInfo?.floor !== null && depthInfo?.floor !== undefined ? run.chat[depthInfo.floor] : null;
+            return !!message && message.name === condition.value;
+        }
+        case 'generation':
+            return run.generationType === condition.value;
+        default:
+            return true;
+    }
+}
+
+/**
+ * 检查规则的附加条件
+ * @param {TagBlockerTag} tag 规则
+ * @param {string} text 文本
+ * @param {MessageDepthInfo|null} depthInfo 楼层信息
+ * @param {RuleApplyOptions} options 处理选项
+ * @returns {boolean} 没有条件时返回true
+ */
+export function checkRuleConditions(tag, text, depthInfo, options) {
+    const items = tag.conditions?.items || [];
+    if (items.length === 0) return true;
+    
+    const check = condition => checkRuleCondition(condition, text, depthInfo, options);
+    return tag.conditions.logic === 'or' ? items.some(check) : items.every(check);
+}
+
+/**
+ * 检查文本是否应用规则
+ * @param {TagBlockerTag} tag 规则
+ * @param {string} text 文本
+ * @param {MessageDepthInfo|null} depthInfo 楼层信息
+ * @param {number} placement 应用位置类型
+ * @param {RuleApplyOptions} options 处理选项
+ * @returns {boolean} 是否应应用规则
+ */
+export function shouldApplyRule(tag, text, depthInfo, placement, options = {}) {
+    // 检查是否启用
+    if (!tag.enabled) return false;
+    
+    // 检查处理目标
+    if (!isRuleForTarget(tag, options.target || 'prompt')) return false;
+    if (options.isEdit && !tag.runOnEdit) return false;
+    
+    // 检查应用位置
+    if (!tag.placement.includes(placement)) return false;
+    
+    // 检查作用范围
+    if (!isRuleInScope(tag, (options.run || createRuleRun()).scope)) return false;
+    
+    // 检查附加条件
+    if (!checkRuleConditions(tag, text, depthInfo, options)) return false;
+    
+    // 检查楼层限制，设置了楼层范围的规则不处理没有楼层的内容 (如系统提示)
+    const depth = depthInfo ? (tag.depthMode === 'floor' ? depthInfo.floor : depthInfo.depth) : null;
+    if (hasDepthRange(tag)) {
+        if (depth === null || depth === undefined) return false;
+        if (tag.minDepth !== null && depth < tag.minDepth) return false;
+        if (tag.maxDepth !== null && depth > tag.maxDepth) return false;
+    }
+    
+    return true;
+}
+
+/**
+ * 检查规则是否设置了楼层范围 (最小楼层为0等同于不限制)
+ * @param {TagBlockerTag} tag 规则
+ * @returns {boolean}
+ */
+export function hasDepthRange(tag) {
+    return (tag.minDepth !== null && tag.minDepth > 0) || tag.maxDepth !== null;
+}
+
+/**
+ * 对文本依次应用规则
+ * @param {string} text 需要处理的文本
+ * @param {MessageDepthInfo|null} depthInfo 楼层信息 (null表示没有楼层，设置了楼层范围的规则不会应用)
+ * @param {number} placement 位置类型 (0=用户输入, 1=AI回复, 2=系统提示, 3~7见 PROMPT_SOURCE_PLACEMENTS)
+ * @param {RuleApplyOptions} options 处理选项 (规则和对话信息由调用方提供)
+ * @returns {string} 处理后的文本
+ */
+export function applyRules(text, depthInfo = null, placement = 2, options = {}) {
+    options = { ...options, run: options.run || createRuleRun(), env: options.env || DEFAULT_ENV };
+    const log = options.env.log;
+    
+    // 被排除的消息不应用任何规则
+    if (depthInfo?.floor !== null && depthInfo?.floor !== undefined && isFloorExcluded(options.run, depthInfo.floor)) {
+        log(`楼层 ${depthInfo.floor} 已被排除，跳过处理`);
+        return text;
+    }
+    
+    let result = text;
+    let wasModified = false;
+    
+    log(`处理文本 [楼层=${depthInfo?.floor ?? '-'}, 倒数=${depthInfo?.depth ?? '-'}, 位置=${placement}]`);
+    
+    // 应用每个规则
+    for (const tag of options.rules || []) {
+        if (options.skipRules?.has(tag.id) || !shouldApplyRule(tag, result, depthInfo, placement, options)) {
+            continue;
+        }
+        
+        let processedText;
+        const trace = options.trace;
+        const spans = trace ? [] : null;
+        const startTime = performance.now();
+        
+        // 根据规则类型处理文本
+        if (tag.ruleType === 'extract') {
+            // 只保留标签内容
+            processedText = processWithExtract(result, tag, spans, options.env);
+        } else if (tag.ruleType === 'keypath') {
+            // 移除JSON/YAML中的键
+            processedText = processWithKeyPaths(result, tag, spans);
+        } else if (tag.replaceMode === 'summary' && canUseSummary(tag)) {
+            // 使用摘要替换
+            processedText = processWithSummary(result, tag, depthInfo, spans, options.env);
+        } else if (tag.ruleType === 'regex') {
+            // 使用正则表达式处理
+            processedText = processWithRegex(result, tag, spans, options.env);
+        } else if (tag.ruleType === 'selector') {
+            // 按选择器处理HTML元素
+            processedText = processWithSelector(result, tag, spans, options.env);
+        } else {
+            // 使用标签处理
+            processedText = processWithTags(result, tag, spans, options.env);
+        }
+        
+        options.onRuleRun?.(tag, result, processedText, performance.now() - startTime);
+        
+        // 检查是否有变化
+        if (processedText !== result) {
+            log(`规则 "${tag.scriptName}" 应用成功`);
+            trace?.push({ tag: tag, before: result, after: processedText, spans: spans });
+            options.onRuleApplied?.({
+                id: tag.id,
+                name: tag.scriptName,
+                source: tag.source ?? null,
+                before: result,
+                after: processedText,
+                depthInfo: depthInfo,
+                placement: placement,
+                target: options.target || 'prompt'
+            });
+            result = processedText;
+            wasModified = true;
+        }
+    }
+    
+    if (wasModified) {
+        log('文本已被修改');
+    }
+    
+    return result;
+}
+
+/**
+ * 根据消息角色获取应用位置
+ * @param {string} role 消息角色
+ * @returns {number} 位置类型 (0=用户输入, 1=AI回复, 2=系统提示)
+ */
+export function getPlacementForRole(role) {
+    if (role === 'user') return 0;
+    if (role === 'assistant') return 1;
+    return 2;
+}
+
+/**
+ * 根据提示词管理器的提示词标识获取应用位置
+ * @param {string|null|undefined} identifier 提示词标识 (如 worldInfoBefore、charDescription)
+ * @returns {number|null} 位置类型 (无法识别的标识返回null)
+ */
+export function getPlacementForIdentifier(identifier) {
+    if (typeof identifier !== 'string') return null;
+    if (identifier === 'worldInfoBefore' || identifier === 'worldInfoAfter') return PROMPT_SOURCE_PLACEMENTS.worldInfo;
+    if (identifier === 'authorsNote') return PROMPT_SOURCE_PLACEMENTS.authorsNote;
+    if (['charDescription', 'charPersonality', 'scenario'].includes(identifier)) return PROMPT_SOURCE_PLACEMENTS.character;
+    if (identifier.startsWith('dialogueExamples')) return PROMPT_SOURCE_PLACEMENTS.examples;
+    if (identifier === 'personaDescription') return PROMPT_SOURCE_PLACEMENTS.persona;
+    return null;
+}
+
+/**
+ * 获取文本片段的应用位置，已知提示词来源时使用来源，否则按角色判断
+ * @param {PayloadSegment} segment 文本片段
+ * @returns {number} 位置类型
+ */
+export function getSegmentPlacement(segment) {
+    return segment.placement ?? getPlacementForRole(segment.role);
+}
+
+/**
+ * 提取对象上的字符串字段
+ * @param {Object} target 目标对象
+ * @param {string} key 字段名
+ * @param {string} role 消息角色
+ * @param {number|null} position 消息位置
+ * @returns {PayloadSegment[]}
+ */
+function extractStringField(target, key, role, position = null) {
+    if (!target || typeof target[key] !== 'string' || !target[key]) {
+        return [];
+    }
+    
+    return [{
+        role: role,
+        text: target[key],
+        position: position,
+        write: text => { target[key] = text; }
+    }];
+}
+
+/**
+ * 提取消息内容，支持字符串和多模态文本块数组
+ * @param {Object} target 目标对象
+ * @param {string} key 字段名
+ * @param {string} role 消息角色
+ * @param {number|null} position 消息位置
+ * @returns {PayloadSegment[]}
+ */
+function extractContentBlocks(target, key, role, position = null) {
+    const content = target?.[key];
+    if (typeof content === 'string') {
+        return extractStringField(target, key, role, position);
+    }
+    if (!Array.isArray(content)) {
+        return [];
+    }
+    
+    return content
+        .filter(part => part && part.type === 'text')
+        .flatMap(part => extractStringField(part, 'text', role, position));
+}
+
+/**
+ * 提取OpenAI/Claude风格的消息列表
+ * @param {Object[]} messages 消息列表
+ * @returns {PayloadSegment[]}
+ */
+export function extractChatMessages(messages) {
+    return messages.flatMap((msg, index) => extractContentBlocks(msg, 'content', msg?.role || 'user', index));
+}
+
+/**
+ * 提取文本补全格式的prompt (字符串或字符串数组)
+ * @param {Object} body 请求体
+ * @returns {PayloadSegment[]}
+ */
+function extractTextPrompt(body) {
+    if (Array.isArray(body.prompt)) {
+        return body.prompt.flatMap((_, index) => extractStringField(body.prompt, String(index), 'system'));
+    }
+    return extractStringField(body, 'prompt', 'system');
+}
+
+/**
+ * 各后端的请求格式适配器，按顺序检测，使用第一个匹配的适配器
+ * @type {PayloadAdapter[]}
+ */
+export const payloadAdapters = [
+    {
+        // Gemini: contents[].parts[].text + systemInstruction
+        name: 'Gemini',
+        detect: body => Array.isArray(body.contents),
+        extract: body => {
+            const segments = [];
+            const systemInstruction = body.systemInstruction ?? body.system_instruction;
+            if (Array.isArray(systemInstruction?.parts)) {
+                systemInstruction.parts.forEach(part => segments.push(...extractStringField(part, 'text', 'system')));
+            }
+            body.contents.forEach((content, index) => {
+                const role = content?.role === 'model' ? 'assistant' : (content?.role || 'user');
+                (content?.parts || []).forEach(part => segments.push(...extractStringField(part, 'text', role, index)));
+            });
+            return segments;
+        }
+    },
+    {
+        // Claude: 顶层system (字符串或文本块数组) + messages
+        name: 'Claude',
+        detect: (body, url) => Array.isArray(body.messages) && (body.system !== undefined || url.includes('/v1/messages')),
+        extract: body => [
+            ...extractContentBlocks(body, 'system', 'system'),
+            ...extractChatMessages(body.messages)
+        ]
+    },
+    {
+        // OpenAI及兼容的聊天补全格式
+        name: 'OpenAI',
+        detect: body => Array.isArray(body.messages),
+        extract: body => extractChatMessages(body.messages)
+    },
+    {
+        // NovelAI: input
+        name: 'NovelAI',
+        detect: body => typeof body.input === 'string',
+        extract: body => extractStringField(body, 'input', 'system')
+    },
+    {
+        // AI Horde: prompt + models/params
+        name: 'Horde',
+        detect: (body, url) => typeof body.prompt === 'string' && (Array.isArray(body.models) || url.includes('horde')),
+        extract: body => extractTextPrompt(body)
+    },
+    {
+        // KoboldAI: prompt + max_context_length
+        name: 'Kobold',
+        detect: (body, url) => typeof body.prompt === 'string' && (body.max_context_length !== undefined || url.includes('kobold')),
+        extract: body => extractTextPrompt(body)
+    },
+    {
+        // Text Generation WebUI及其他文本补全后端
+        name: 'TextGen',
+        detect: body => typeof body.prompt === 'string' || Array.isArray(body.prompt),
+        extract: body => extractTextPrompt(body)
+    },
+    {
+        // 旧版通用格式: text / content
+        name: 'Generic',
+        detect: body => typeof body.text === 'string' || body.content !== undefined,
+        extract: body => [
+            ...extractStringField(body, 'text', 'system'),
+            ...extractContentBlocks(body, 'content', 'user')
+        ]
+    }
+];
+
+/**
+ * 检查消息内容是否为空（没有文本以外的内容且文本为空）
+ * @param {any} content 消息内容
+ * @returns {boolean}
+ */
+export function isEmptyMessageContent(content) {
+    if (typeof content === 'string') return !content.trim();
+    if (Array.isArray(content)) return content.every(part => part?.type === 'text' && !part.text?.trim());
+    return false;
+}
@@ -1,64 +1,412 @@
-import { callPopup, eventSource, event_types, getCurrentChatId, getRequestHeaders, saveSettingsDebounced } from '../../../script.js';
-import { extension_settings, getContext, renderExtensionTemplateAsync } from '../../extensions.js';
-import { callGenericPopup, POPUP_TYPE } from '../../popup.js';
-import { escapeRegex, uuidv4 } from '../../utils.js';
+import { callPopup, eventSource, event_types, getCurrentChatId, getMaxContextSize, getRequestHeaders, messageFormatting, saveChatDebounced, saveSettingsDebounced, substituteParams } from '../../../script.js';
+import { extension_settings, getContext, renderExtensionTemplateAsync, saveMetadataDebounced, writeExtensionField } from '../../extensions.js';
+// 命名空间导入：部分版本没有导出 promptManager，不能因此导致扩展加载失败
+import * as openai from '../../openai.js';
+import { callGenericPopup, Popup, POPUP_RESULT, POPUP_TYPE } from '../../popup.js';
+import { CHARACTERS_PER_TOKEN_RATIO } from '../../tokenizers.js';
+import { executeSlashCommandsWithOptions } from '../../slash-commands.js';
+import { SlashCommand } from '../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandParser } from '../../slash-commands/SlashCommandParser.js';
+import { SlashCommandScope } from '../../slash-commands/SlashCommandScope.js';
+import { debounce, getSortableDelay, getStringHash, uuidv4 } from '../../utils.js';
+import {
+    applyRules,
+    canUseSummary,
+    clearCompiledRules,
+    expandReplacement,
+    exportTagToScript,
+    extractChatMessages,
+    extractImportedScripts,
+    findRuleSpans,
+    getPlacementForIdentifier,
+    getPlacementForRole,
+    getRuleRegexes,
+    getSegmentPlacement,
+    importScriptToTag,
+    isEmptyMessageContent,
+    isFloorExcluded,
+    isImportableScript,
+    isRuleInScope,
+    normalizeTag,
+    parseRegexString,
+    payloadAdapters,
+    PLACEMENT_VERSION,
+    PROMPT_SOURCE_PLACEMENTS,
+    processWithExtract,
+    processWithKeyPaths,
+    processWithRegex,
+    processWithSelector,
+    processWithTags,
+    resolveMessageDepths,
+    RULE_BUNDLE_FORMAT,
+    RULE_BUNDLE_VERSION,
+    shouldApplyRule,
+    substituteFindRegex,
+    widenSystemPlacement
+} from './engine.js';
+
+/** @typedef {import('./engine.js').TagBlockerTag} TagBlockerTag */
+/** @typedef {import('./engine.js').ExtractPair} ExtractPair */
+/** @typedef {import('./engine.js').RuleConditions} RuleConditions */
+/** @typedef {import('./engine.js').RuleApplyOptions} RuleApplyOptions */
+/** @typedef {import('./engine.js').RuleAppliedEvent} RuleAppliedEvent */
+/** @typedef {import('./engine.js').RuleRunContext} RuleRunContext */
+/** @typedef {import('./engine.js').RuleScopeContext} RuleScopeContext */
+/** @typedef {import('./engine.js').RuleEngineEnv} RuleEngineEnv */
+/** @typedef {import('./engine.js').MessageDepthInfo} MessageDepthInfo */
+/** @typedef {import('./engine.js').ReplacementSpan} ReplacementSpan */
+/** @typedef {import('./engine.js').PayloadSegment} PayloadSegment */
 
 /**
- * @typedef {Object} TagBlockerTag
- * @property {string} id 唯一ID
- * @property {string} startTag 开始标签
- * @property {string} endTag 结束标签
- * @property {boolean} enabled 是否启用
- * @property {number|null} minDepth 最小楼层 (null表示不限制)
- * @property {number|null} maxDepth 最大楼层 (null表示不限制)
- * @property {boolean} markdownOnly 是否仅在Markdown中应用
- * @property {boolean} promptOnly 是否仅在提示中应用
- * @property {boolean} runOnEdit 是否在编辑时应用
- * @property {number[]} placement 应用位置 (0=用户输入, 1=AI响应, 2=系统提示)
- * @property {string|null} regexPattern 正则表达式模式 (null表示使用标签模式)
- * @property {string} replaceString 替换文本
- * @property {string} scriptName 规则名称
- * @property {number} substituteRegex 替换方式 (0=替换匹配项, 1=保留匹配项)
+ * @typedef {Object} RuleLogStats
+ * @property {string} id 规则ID
+ * @property {string} name 规则名称
+ * @property {number} messages 修改的消息数
+ * @property {number} chars 移除的字符数
+ * @property {number} ms 耗时 (毫秒)
+ */
+
+/**
+ * @typedef {Object} ApplicationLogEntry
+ * @property {number} time 生成时间
+ * @property {string|null} chatId 对话ID
+ * @property {number} ms 总耗时 (毫秒)
+ * @property {RuleLogStats[]} rules 每个规则的统计
  */
 
 /**
- * @typedef {Object} TagBlockerExcludedPrompt
+ * @typedef {Object} TagBlockerGroup
  * @property {string} id 唯一ID
- * @property {string} text prompt文本
- * @property {boolean} excluded 是否排除
+ * @property {string} name 分组名称
+ * @property {boolean} collapsed 是否折叠
+ */
+
+/**
+ * @typedef {Object} ScannedMessage
+ * @property {number} messageId 消息在对话中的楼层
+ * @property {string} text 消息文本
  * @property {string} source 来源信息
  */
 
+/**
+ * @typedef {Object} RuleProfile
+ * @property {string} id 唯一ID
+ * @property {string} name 方案名称
+ * @property {Object<string, RuleProfileEntry>} rules 每个规则的设置 (以规则ID为键)
+ * @property {ConnectionInfo} match 自动切换条件 (全部为空表示不自动切换)
+ */
+
+/**
+ * @typedef {Object} RuleProfileEntry
+ * @property {boolean} enabled 是否启用
+ * @property {number|null} minDepth 最小楼层
+ * @property {number|null} maxDepth 最大楼层
+ * @property {'depth'|'floor'} depthMode 楼层计数方式
+ */
+
+/**
+ * @typedef {Object} ConnectionInfo
+ * @property {string} api API类型 (如 openai、claude、textgenerationwebui)
+ * @property {string} model 模型名称
+ * @property {string} connectionProfile 连接配置名称
+ */
+
+/**
+ * @typedef {Object} BudgetReport
+ * @property {number} before 处理前的估算token数
+ * @property {number} after 处理后的估算token数
+ * @property {number} target 目标token数
+ * @property {number} applied 应用规则的次数
+ */
+
+/**
+ * @typedef {Object} RegexGuard
+ * @property {Set<string>} skipRules 本次执行超时、已跳过的规则ID
+ * @property {boolean} countTimeouts 是否累计超时次数 (预览等只读操作不累计，也不会自动禁用规则)
+ * @property {Worker|null} worker 执行检查的后台线程 (需要时创建，超时后终止)
+ */
+
+/**
+ * @typedef {Object} GuardedText
+ * @property {string} text 文本 (应用规则后更新)
+ * @property {MessageDepthInfo|null} depthInfo 楼层信息
+ * @property {number} placement 位置类型
+ * @property {Object[]} [trace] 规则应用记录 (同RuleApplyOptions.trace)
+ */
+
+// 酒馆向后端发送生成请求的接口，也是兼容模式下默认拦截的地址 (浏览器不会直接请求上游接口)
+const DEFAULT_FETCH_ALLOWLIST = [
+    '/api/backends/chat-completions/generate',
+    '/api/backends/text-completions/generate',
+    '/api/backends/kobold/generate',
+    '/api/novelai/generate',
+    '/api/horde/generate-text'
+];
+
+// 旧版本的默认拦截地址，未修改过的设置会替换为新的默认值
+const LEGACY_FETCH_ALLOWLIST = ['/v1/chat/completions', '/v1/completions', '/v1/messages', '/v1beta/models', '/api/v1/generate', '/api/v1/chat'];
+
 // 初始化扩展设置
 if (!extension_settings.tag_blocker) {
     extension_settings.tag_blocker = {
         tags: [],
-        excludedPrompts: [],
+        groups: [],
         autoRefresh: true,
-        debugMode: false
+        debugMode: false,
+        fetchFallback: false,
+        fetchAllowlist: [...DEFAULT_FETCH_ALLOWLIST],
+        budgetMode: false,
+        budgetTarget: 80,
+        budgetUnit: 'percent',
+        applicationLog: [],
+        ruleStats: {},
+        regexGuard: true,
+        regexTimeout: 500,
+        removalWarning: true,
+        removalWarningPercent: 90,
+        profiles: [],
+        activeProfileId: null,
+        profileAutoSwitch: false,
+        allowedRuleSources: [],
+        askedRuleSources: [],
+        summaryConnectionProfile: '',
+        placementVersion: PLACEMENT_VERSION
     };
 }
 
+// 补全新增的设置项
+if (extension_settings.tag_blocker.fetchFallback === undefined) extension_settings.tag_blocker.fetchFallback = false;
+if (!Array.isArray(extension_settings.tag_blocker.fetchAllowlist) ||
+    JSON.stringify(extension_settings.tag_blocker.fetchAllowlist) === JSON.stringify(LEGACY_FETCH_ALLOWLIST)) {
+    extension_settings.tag_blocker.fetchAllowlist = [...DEFAULT_FETCH_ALLOWLIST];
+}
+if (!Array.isArray(extension_settings.tag_blocker.groups)) extension_settings.tag_blocker.groups = [];
+if (extension_settings.tag_blocker.budgetMode === undefined) extension_settings.tag_blocker.budgetMode = false;
+if (extension_settings.tag_blocker.budgetTarget === undefined) extension_settings.tag_blocker.budgetTarget = 80;
+if (extension_settings.tag_blocker.budgetUnit !== 'tokens') extension_settings.tag_blocker.budgetUnit = 'percent';
+if (!Array.isArray(extension_settings.tag_blocker.applicationLog)) extension_settings.tag_blocker.applicationLog = [];
+if (!extension_settings.tag_blocker.ruleStats) extension_settings.tag_blocker.ruleStats = {};
+if (extension_settings.tag_blocker.regexGuard === undefined) extension_settings.tag_blocker.regexGuard = true;
+if (extension_settings.tag_blocker.regexTimeout === undefined) extension_settings.tag_blocker.regexTimeout = 500;
+if (extension_settings.tag_blocker.removalWarning === undefined) extension_settings.tag_blocker.removalWarning = true;
+if (extension_settings.tag_blocker.removalWarningPercent === undefined) extension_settings.tag_blocker.removalWarningPercent = 90;
+if (!Array.isArray(extension_settings.tag_blocker.profiles)) extension_settings.tag_blocker.profiles = [];
+if (extension_settings.tag_blocker.activeProfileId === undefined) extension_settings.tag_blocker.activeProfileId = null;
+if (extension_settings.tag_blocker.profileAutoSwitch === undefined) extension_settings.tag_blocker.profileAutoSwitch = false;
+if (!Array.isArray(extension_settings.tag_blocker.allowedRuleSources)) extension_settings.tag_blocker.allowedRuleSources = [];
+if (!Array.isArray(extension_settings.tag_blocker.askedRuleSources)) extension_settings.tag_blocker.askedRuleSources = [];
+if (extension_settings.tag_blocker.summaryConnectionProfile === undefined) extension_settings.tag_blocker.summaryConnectionProfile = '';
+
+// 旧版本的摘要接口地址和密钥明文保存在设置中，改为使用酒馆的连接配置，由后端保存密钥并转发请求
+delete extension_settings.tag_blocker.summaryApiUrl;
+delete extension_settings.tag_blocker.summaryApiModel;
+delete extension_settings.tag_blocker.summaryApiKey;
+
+// 旧版本保存在设置中的消息全文快照 (excludedPrompts) 已改为按消息保存在对话元数据中，打开对话时迁移，见 migrateLegacyExclusions
+
+// 应用日志最多保留的生成次数
+const APPLICATION_LOG_LIMIT = 50;
+
+// 正则规则连续超时多少次后自动禁用
+const REGEX_TIMEOUT_LIMIT = 3;
+
+// 摘要请求最多生成的token数
+const SUMMARY_MAX_TOKENS = 500;
+
 // 确保兼容旧版本格式
-extension_settings.tag_blocker.tags.forEach(tag => {
-    // 添加新字段的默认值
-    if (tag.minDepth === undefined) tag.minDepth = null;
-    if (tag.maxDepth === undefined) tag.maxDepth = null;
-    if (tag.markdownOnly === undefined) tag.markdownOnly = false;
-    if (tag.promptOnly === undefined) tag.promptOnly = true;
-    if (tag.runOnEdit === undefined) tag.runOnEdit = true;
-    if (tag.placement === undefined) tag.placement = [2]; // 默认为系统提示
-    if (tag.regexPattern === undefined) tag.regexPattern = null;
-    if (tag.replaceString === undefined) tag.replaceString = '';
-    if (tag.scriptName === undefined) tag.scriptName = `规则 ${tag.startTag}...${tag.endTag}`;
-    if (tag.substituteRegex === undefined) tag.substituteRegex = 0;
-});
+extension_settings.tag_blocker.tags.forEach(normalizeTag);
+
+// 应用位置细分前保存的规则，系统提示迁移为所有系统消息位置；外部注册和导入的规则不经过这里
+if (!(extension_settings.tag_blocker.placementVersion >= PLACEMENT_VERSION)) {
+    extension_settings.tag_blocker.tags.forEach(tag => {
+        // 曾经按规则记录版本，已经迁移过的规则不再重复扩展
+        if (tag.placementVersion !== PLACEMENT_VERSION) widenSystemPlacement(tag);
+        delete tag.placementVersion;
+    });
+    extension_settings.tag_blocker.placementVersion = PLACEMENT_VERSION;
+}
+
+// 内置示例脚本是酒馆正则脚本，以前没有转换应用位置，按系统提示保存了；脚本中的 2 表示AI回复
+const BUILTIN_SCRIPT_ID = 'bb776c36-7af4-40dd-9ede-b9ececfcb184';
+if (!extension_settings.tag_blocker.builtinScriptPlacementFixed) {
+    const builtinScript = extension_settings.tag_blocker.tags.find(tag => tag.id === BUILTIN_SCRIPT_ID);
+    if (builtinScript && !builtinScript.placement.includes(0) && !builtinScript.placement.includes(1)) {
+        builtinScript.placement = [1];
+    }
+    extension_settings.tag_blocker.builtinScriptPlacementFixed = true;
+}
 
 /**
  * 保存标签屏蔽器设置
  */
 function saveTagBlockerSettings() {
+    // 规则被修改后重新编译
+    clearCompiledRules();
     saveSettingsDebounced();
+    syncScopedRuleStorage();
+}
+
+/**
+ * 获取当前对话的作用范围信息
+ * @returns {RuleScopeContext}
+ */
+function getRuleScopeContext() {
+    const context = getContext();
+    const characters = [];
+    
+    if (context.groupId) {
+        const group = context.groups?.find(item => item.id === context.groupId);
+        characters.push(...(group?.members || []));
+    } else if (context.characterId !== undefined && context.characters?.[context.characterId]) {
+        characters.push(context.characters[context.characterId].avatar);
+    }
+    
+    return {
+        characters: characters,
+        groupId: context.groupId || null,
+        chatId: getCurrentChatId() || null
+    };
+}
+
+/**
+ * 获取随角色卡或对话保存规则的来源标识
+ * @param {'character'|'chat'} scope 来源类型
+ * @param {string} target 角色头像文件名或对话ID
+ * @returns {string}
+ */
+function getRuleSourceKey(scope, target) {
+    return `${scope}:${target}`;
+}
+
+/**
+ * 获取需要保留在来源中的未载入规则 (用户没有同意载入的规则不随本地规则同步删除)
+ * @param {Object[]} stored 来源中保存的规则
+ * @param {string} sourceKey 来源标识
+ * @returns {Object[]}
+ */
+function getUnadoptedRules(stored, sourceKey) {
+    if (extension_settings.tag_blocker.allowedRuleSources.includes(sourceKey)) return [];
+    const tags = extension_settings.tag_blocker.tags;
+    return stored.filter(rule => !tags.some(tag => tag.id === rule?.id));
+}
+
+/**
+ * 读取随角色卡或对话保存的规则，应用位置细分前保存的规则按旧的系统提示含义迁移
+ * @param {{rules?: Object[], placementVersion?: number}|undefined} storage 角色卡扩展字段或对话元数据中的数据
+ * @returns {Object[]}
+ */
+function getStoredScopedRules(storage) {
+    const rules = Array.isArray(storage?.rules) ? storage.rules : [];
+    if (storage?.placementVersion >= PLACEMENT_VERSION) return rules;
+    return rules.map(rule => rule && typeof rule === 'object' ? widenSystemPlacement(structuredClone(rule)) : rule);
+}
+
+/**
+ * 将指定角色和对话的规则同步保存到角色卡和对话元数据中，使规则随角色卡或对话一起迁移
+ */
+function syncScopedRuleStorage() {
+    const context = getContext();
+    const tags = extension_settings.tag_blocker.tags;
+    const serialize = rules => JSON.stringify(rules);
+    
+    // 角色卡: data.extensions.tag_blocker.rules
+    (context.characters || []).forEach((character, index) => {
+        const storage = character?.data?.extensions?.tag_blocker;
+        const stored = getStoredScopedRules(storage);
+        const rules = [
+            ...getUnadoptedRules(stored, getRuleSourceKey('character', character.avatar)),
+            ...tags.filter(tag => tag.scope === 'character' && tag.scopeTargets.includes(character.avatar)).map(exportTagToScript)
+        ];
+        
+        if (serialize(storage?.rules || []) !== serialize(rules) || (rules.length > 0 && storage?.placementVersion !== PLACEMENT_VERSION)) {
+            writeExtensionField(index, 'tag_blocker', { rules: rules, placementVersion: PLACEMENT_VERSION });
+        }
+    });
+    
+    // 对话元数据只能写入当前打开的对话
+    const chatId = getCurrentChatId();
+    if (!chatId || !context.chatMetadata) return;
+    
+    const metadata = context.chatMetadata.tag_blocker || {};
+    const stored = getStoredScopedRules(metadata);
+    const rules = [
+        ...getUnadoptedRules(stored, getRuleSourceKey('chat', chatId)),
+        ...tags.filter(tag => tag.scope === 'chat' && tag.scopeTargets.includes(chatId)).map(exportTagToScript)
+    ];
+    
+    if (serialize(metadata.rules || []) !== serialize(rules) || (rules.length > 0 && metadata.placementVersion !== PLACEMENT_VERSION)) {
+        context.chatMetadata.tag_blocker = { ...metadata, rules: rules, placementVersion: PLACEMENT_VERSION };
+        saveMetadataDebounced();
+    }
+}
+
+/**
+ * 从当前角色卡和对话元数据中载入本地还没有的规则
+ * 
+ * 与酒馆内嵌的正则脚本一样，每个角色卡或对话第一次出现规则时询问是否载入，拒绝后不再询问。
+ * 载入的规则只作用于来源的角色或对话，不使用文件中保存的作用范围。
+ * @returns {Promise<number>} 载入的规则数量
+ */
+async function adoptScopedRules() {
+    const context = getContext();
+    const scope = getRuleScopeContext();
+    const settings = extension_settings.tag_blocker;
+    const tags = settings.tags;
+    
+    /** @type {{scope: 'character'|'chat', target: string, label: string, rules: Object[]}[]} */
+    const sources = [];
+    for (const avatar of scope.characters) {
+        const character = context.characters?.find(item => item.avatar === avatar);
+        sources.push({ scope: 'character', target: avatar, label: `角色「${character?.name || avatar}」`, rules: getStoredScopedRules(character?.data?.extensions?.tag_blocker) });
+    }
+    if (scope.chatId) {
+        sources.push({ scope: 'chat', target: scope.chatId, label: '当前对话', rules: getStoredScopedRules(context.chatMetadata?.tag_blocker) });
+    }
+    
+    let adopted = 0;
+    for (const source of sources) {
+        const newRules = source.rules.filter(rule => rule?.id && isImportableScript(rule) && !tags.some(tag => tag.id === rule.id));
+        if (newRules.length === 0) continue;
+        
+        const sourceKey = getRuleSourceKey(source.scope, source.target);
+        if (!settings.allowedRuleSources.includes(sourceKey)) {
+            if (settings.askedRuleSources.includes(sourceKey)) continue;
+            settings.askedRuleSources.push(sourceKey);
+            saveSettingsDebounced();
+            
+            const confirmed = await callGenericPopup(`${source.label}中保存了 ${newRules.length} 个内容处理规则，是否载入？载入的规则只在${source.scope === 'chat' ? '此对话' : '此角色'}中生效。拒绝后不再询问。`, POPUP_TYPE.CONFIRM);
+            if (!confirmed) continue;
+            settings.allowedRuleSources.push(sourceKey);
+        }
+        
+        for (const rule of newRules) {
+            const tag = importScriptToTag(rule);
+            tag.scope = source.scope;
+            tag.scopeTargets = [source.target];
+            tags.push(tag);
+            adopted++;
+        }
+    }
+    
+    if (adopted > 0) {
+        logDebug(`从角色卡/对话中载入了 ${adopted} 个规则`);
+        window.toastr?.info?.(`从角色卡/对话中载入了 ${adopted} 个规则`);
+        saveTagBlockerSettings();
+    }
+    
+    return adopted;
+}
+
+/**
+ * 切换对话时载入随角色卡或对话保存的规则，并刷新规则列表
+ */
+async function onChatChanged() {
+    migrateLegacyExclusions();
+    await adoptScopedRules();
+    // 在当前对话中同步一次，补全对话元数据中的规则
+    syncScopedRuleStorage();
+    await loadTagList();
 }
 
 /**
@@ -76,6 +424,32 @@ function logDebug(message, data = null) {
     }
 }
 
+/**
+ * 估算文本的token数
+ * @param {string} text 文本
+ * @returns {number} 估算的token数
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARACTERS_PER_TOKEN_RATIO);
+}
+
+/**
+ * 规则引擎使用的酒馆功能
+ * @type {RuleEngineEnv}
+ */
+const engineEnv = {
+    substituteParams: (text, transform) => transform
+        ? substituteParams(text, undefined, undefined, undefined, undefined, true, {}, transform)
+        : substituteParams(text),
+    estimateTokens: estimateTokens,
+    log: logDebug,
+    warn: message => {
+        console.warn(`[高级内容处理器] ${message}`);
+        window.toastr?.warning?.(message);
+    },
+    getSummary: (tag, depthInfo, span) => getSavedSummary(depthInfo?.floor ?? null, tag, span)?.text ?? null
+};
+
 /**
  * 创建替换规则的预览文本
  * @param {TagBlockerTag} tag 
@@ -84,22 +458,34 @@ function logDebug(message, data = null) {
 function createTagPreview(tag) {
     let preview = '';
     
-    if (tag.regexPattern) {
+    if (tag.ruleType === 'extract') {
+        // 提取模式预览
+        const fallbackText = { keep: '保留原文', drop: '丢弃消息', placeholder: '使用占位文本' }[tag.extractFallback];
+        preview = `提取: ${tag.extractPairs.map(pair => `${pair.startTag}...${pair.endTag}`).join(', ')}（未找到时${fallbackText}）`;
+    } else if (tag.ruleType === 'regex') {
         // 正则模式预览
-        preview = `正则: ${tag.regexPattern} → ${tag.replaceString || '(移除)'}`;
+        preview = `正则: ${tag.regexPattern} → ${tag.replaceMode === 'summary' ? '(摘要)' : (tag.replaceString || '(移除)')}`;
+    } else if (tag.ruleType === 'selector') {
+        // 选择器模式预览
+        const action = tag.selectorMode === 'keep' ? '(只保留)' : (tag.replaceMode === 'summary' ? '(摘要)' : (tag.replaceString || '(移除)'));
+        preview = `选择器: ${tag.selector} → ${action}`;
+    } else if (tag.ruleType === 'keypath') {
+        // 键路径模式预览
+        preview = `移除键: ${tag.keyPaths.join(', ')}`;
     } else {
         // 标签模式预览
-        preview = `${tag.startTag}...${tag.endTag}`;
+        preview = `${tag.startTag}...${tag.endTag}${tag.replaceMode === 'summary' ? ' → (摘要)' : ''}`;
     }
     
     // 楼层限制
     let depthLimit = '';
+    const depthLabel = tag.depthMode === 'floor' ? '楼层' : '倒数';
     if (tag.minDepth !== null && tag.maxDepth !== null) {
-        depthLimit = `楼层 ${tag.minDepth}-${tag.maxDepth}`;
+        depthLimit = `${depthLabel} ${tag.minDepth}-${tag.maxDepth}`;
     } else if (tag.minDepth !== null) {
-        depthLimit = `>${tag.minDepth}楼`;
+        depthLimit = `${depthLabel} ≥${tag.minDepth}`;
     } else if (tag.maxDepth !== null) {
-        depthLimit = `<${tag.maxDepth}楼`;
+        depthLimit = `${depthLabel} ≤${tag.maxDepth}`;
     }
     
     // 应用位置
@@ -107,13 +493,24 @@ function createTagPreview(tag) {
     if (tag.placement.includes(0)) placementText.push('用户');
     if (tag.placement.includes(1)) placementText.push('AI');
     if (tag.placement.includes(2)) placementText.push('系统');
+    if (tag.placement.includes(PROMPT_SOURCE_PLACEMENTS.worldInfo)) placementText.push('世界书');
+    if (tag.placement.includes(PROMPT_SOURCE_PLACEMENTS.authorsNote)) placementText.push('作者注释');
+    if (tag.placement.includes(PROMPT_SOURCE_PLACEMENTS.character)) placementText.push('角色卡');
+    if (tag.placement.includes(PROMPT_SOURCE_PLACEMENTS.examples)) placementText.push('对话示例');
+    if (tag.placement.includes(PROMPT_SOURCE_PLACEMENTS.persona)) placementText.push('用户设定');
     
     let restrictions = [];
     if (depthLimit) restrictions.push(depthLimit);
     if (tag.markdownOnly) restrictions.push('仅MD');
     if (tag.promptOnly) restrictions.push('仅提示');
+    if (tag.conditions.items.length > 0) restrictions.push(`${tag.conditions.items.length}个条件`);
+    if (tag.priority) restrictions.push(`优先级 ${tag.priority}`);
     if (placementText.length > 0) restrictions.push(placementText.join('/'));
     
+    // 作用范围
+    const scopeText = describeRuleScope(tag);
+    if (scopeText) restrictions.push(scopeText);
+    
     if (restrictions.length > 0) {
         preview += ` [${restrictions.join(', ')}]`;
     }
@@ -122,737 +519,3191 @@ function createTagPreview(tag) {
 }
 
 /**
- * 导入脚本文件到标签列表
- * @param {Object} scriptData 脚本数据
- * @returns {TagBlockerTag}
- */
-function importScriptToTag(scriptData) {
-    // 创建新规则
-    const newTag = {
-        id: scriptData.id || uuidv4(),
-        scriptName: scriptData.scriptName || '导入的脚本',
-        // 正则相关
-        regexPattern: scriptData.findRegex || null,
-        replaceString: scriptData.replaceString || '',
-        // 标签相关
-        startTag: '',
-        endTag: '',
-        // 限制条件
-        minDepth: scriptData.minDepth !== undefined ? scriptData.minDepth : null,
-        maxDepth: scriptData.maxDepth !== undefined ? scriptData.maxDepth : null,
-        markdownOnly: !!scriptData.markdownOnly,
-        promptOnly: scriptData.promptOnly !== undefined ? scriptData.promptOnly : true,
-        runOnEdit: scriptData.runOnEdit !== undefined ? scriptData.runOnEdit : true,
-        placement: Array.isArray(scriptData.placement) ? scriptData.placement : [2],
-        substituteRegex: scriptData.substituteRegex !== undefined ? scriptData.substituteRegex : 0,
-        enabled: scriptData.disabled !== undefined ? !scriptData.disabled : true
-    };
+ * 描述规则的作用范围
+ * @param {TagBlockerTag} tag 规则
+ * @returns {string} 作用范围描述 (全局规则为空字符串)
+ */
+function describeRuleScope(tag) {
+    const context = getContext();
     
-    return newTag;
+    switch (tag.scope) {
+        case 'character': {
+            const names = tag.scopeTargets.map(avatar => context.characters?.find(item => item.avatar === avatar)?.name || avatar);
+            return `角色: ${names.join('/') || '无'}`;
+        }
+        case 'group': {
+            const names = tag.scopeTargets.map(id => context.groups?.find(item => item.id === id)?.name || id);
+            return `群聊: ${names.join('/') || '无'}`;
+        }
+        case 'chat':
+            return `对话: ${tag.scopeTargets.length}个`;
+        default:
+            return '';
+    }
 }
 
 /**
- * 获取消息在对话中的楼层（深度）
- * @param {string} messageText 消息文本
- * @returns {number|null} 消息的楼层，如果找不到则返回null
+ * 导入规则包中尚不存在的分组
+ * @param {any} data 导入的数据
  */
-function getMessageDepth(messageText) {
-    const context = getContext();
-    if (!context || !context.chat || !Array.isArray(context.chat)) {
-        return null;
+function importGroups(data) {
+    if (data?.format !== RULE_BUNDLE_FORMAT || !Array.isArray(data.groups)) return;
+    
+    const groups = extension_settings.tag_blocker.groups;
+    for (const group of data.groups) {
+        if (!group?.id || groups.some(item => item.id === group.id)) continue;
+        groups.push({ id: group.id, name: group.name || '导入的分组', collapsed: !!group.collapsed });
     }
+}
+
+/**
+ * 询问导入的规则与现有规则ID冲突时的处理方式
+ * @param {TagBlockerTag} existing 现有规则
+ * @param {TagBlockerTag} incoming 导入的规则
+ * @returns {Promise<{action: 'skip'|'overwrite'|'duplicate', applyToAll: boolean}>}
+ */
+async function askImportConflict(existing, incoming) {
+    const content = $('<div></div>');
+    content.append($('<h3></h3>').text('规则ID冲突'));
+    content.append($('<div></div>').text(`现有规则：${existing.scriptName}`));
+    content.append($('<div></div>').text(`导入规则：${incoming.scriptName}`));
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        okButton: '跳过',
+        cancelButton: false,
+        customButtons: [
+            { text: '覆盖', result: 2 },
+            { text: '创建副本', result: 3 }
+        ],
+        customInputs: [
+            { id: 'tag-blocker-conflict-apply-all', label: '对其余冲突执行相同操作', type: 'checkbox', defaultState: false }
+        ]
+    });
     
-    const index = context.chat.findIndex(message => message.mes === messageText);
-    if (index === -1) return null;
+    const result = await popup.show();
+    const applyToAll = !!popup.inputResults?.get('tag-blocker-conflict-apply-all');
     
-    return index;
+    if (result === 2) return { action: 'overwrite', applyToAll: applyToAll };
+    if (result === 3) return { action: 'duplicate', applyToAll: applyToAll };
+    // 跳过或关闭对话框
+    return { action: 'skip', applyToAll: result === POPUP_RESULT.AFFIRMATIVE && applyToAll };
 }
 
 /**
- * 根据正则表达式处理文本
- * @param {string} text 原始文本
- * @param {string} regexStr 正则表达式字符串
- * @param {string} replaceStr 替换字符串
- * @returns {string} 处理后的文本
+ * 将脚本导入规则列表，ID冲突时询问处理方式
+ * @param {Object[]} scripts 脚本列表
+ * @returns {Promise<{imported: number, skipped: number}>}
  */
-function processWithRegex(text, regexStr, replaceStr) {
-    try {
-        // 提取正则表达式的标志
-        let flags = '';
-        const lastSlashIndex = regexStr.lastIndexOf('/');
-        if (lastSlashIndex > 0) {
-            flags = regexStr.substring(lastSlashIndex + 1);
-            regexStr = regexStr.substring(1, lastSlashIndex);
-        } else {
-            // 如果没有斜杠，尝试按原样解析
-            if (regexStr.startsWith('/')) {
-                regexStr = regexStr.substring(1);
-            }
+async function importScripts(scripts) {
+    const tags = extension_settings.tag_blocker.tags;
+    let imported = 0;
+    let skipped = 0;
+    let rememberedAction = null;
+    
+    for (const script of scripts) {
+        const newTag = importScriptToTag(script);
+        const existingIndex = tags.findIndex(t => t.id === newTag.id);
+        
+        if (existingIndex === -1) {
+            tags.push(newTag);
+            imported++;
+            continue;
         }
         
-        const regex = new RegExp(regexStr, flags);
-        return text.replace(regex, replaceStr);
-    } catch (error) {
-        console.error("正则表达式处理错误:", error);
-        return text; // 出错时返回原始文本
+        let action = rememberedAction;
+        if (!action) {
+            const answer = await askImportConflict(tags[existingIndex], newTag);
+            action = answer.action;
+            if (answer.applyToAll) rememberedAction = answer.action;
+        }
+        
+        if (action === 'overwrite') {
+            tags[existingIndex] = newTag;
+            imported++;
+        } else if (action === 'duplicate') {
+            newTag.id = uuidv4();
+            newTag.scriptName = `${newTag.scriptName} (副本)`;
+            tags.push(newTag);
+            imported++;
+        } else {
+            skipped++;
+        }
     }
+    
+    return { imported: imported, skipped: skipped };
 }
 
 /**
- * 使用标签对文本进行处理
- * @param {string} text 原始文本
- * @param {string} startTag 开始标签
- * @param {string} endTag 结束标签
- * @param {string} replaceStr 替换文本
- * @returns {string} 处理后的文本
+ * 按分组整理规则顺序，使应用顺序与列表显示顺序一致（未分组的规则在前，之后按分组顺序排列）
  */
-function processWithTags(text, startTag, endTag, replaceStr) {
-    const startTagEscaped = escapeRegex(startTag);
-    const endTagEscaped = escapeRegex(endTag);
+function sortTagsByGroup() {
+    const settings = extension_settings.tag_blocker;
+    const groupIds = settings.groups.map(group => group.id);
     
-    // 创建正则表达式匹配标签内容
-    const regex = new RegExp(`${startTagEscaped}(.*?)${endTagEscaped}`, 'gs');
+    // 所属分组已不存在的规则视为未分组
+    settings.tags.forEach(tag => {
+        if (tag.groupId && !groupIds.includes(tag.groupId)) {
+            tag.groupId = null;
+        }
+    });
     
-    // 替换标签内容
-    return text.replace(regex, replaceStr);
+    const rank = tag => tag.groupId ? groupIds.indexOf(tag.groupId) + 1 : 0;
+    settings.tags.sort((a, b) => rank(a) - rank(b));
 }
 
 /**
- * 加载标签列表
+ * 创建规则列表项
+ * @param {JQuery} tagTemplate 规则模板
+ * @param {TagBlockerTag} tag 规则
+ * @param {RuleScopeContext} scope 当前对话的作用范围信息
+ * @returns {JQuery} 规则列表项
  */
-async function loadTagList() {
-    const tagList = $('#tag-list');
-    tagList.empty();
-
-    const tagTemplate = $(await renderExtensionTemplateAsync('tag-blocker', 'tagTemplate'));
-
-    extension_settings.tag_blocker.tags.forEach(tag => {
-        const tagItem = tagTemplate.clone();
-        
-        tagItem.attr('id', tag.id);
-        tagItem.find('.tag-name').text(tag.scriptName || `规则 ${tag.id.substring(0, 6)}`);
-        
-        // 显示规则详情
-        const details = createTagPreview(tag);
-        tagItem.find('.tag-details').text(details);
+function createTagItem(tagTemplate, tag, scope) {
+    const tagItem = tagTemplate.clone();
+    
+    tagItem.attr('id', tag.id);
+    tagItem.find('.tag-name').text(tag.scriptName || `规则 ${tag.id.substring(0, 6)}`);
+    
+    // 显示规则详情
+    const details = createTagPreview(tag);
+    tagItem.find('.tag-details').text(details);
+    tagItem.find('.tag-last-fired').text(formatLastFired(tag.id));
+    
+    // 添加不同类型的样式
+    if (tag.ruleType === 'extract') {
+        tagItem.addClass('tag-extract-item');
+    }
+    
+    if (tag.ruleType === 'regex') {
+        tagItem.addClass('tag-regex-item');
         
-        // 添加不同类型的样式
-        if (tag.regexPattern) {
-            tagItem.addClass('tag-regex-item');
+        // 标记无效的正则表达式，避免规则静默失效
+        try {
+            parseRegexString(substituteFindRegex(tag.regexPattern, tag.substituteRegex, engineEnv));
+        } catch (error) {
+            tagItem.addClass('tag-invalid');
+            tagItem.find('.tag-details').text(`正则表达式无效: ${error.message}`);
         }
+    }
+    
+    if (tag.ruleType === 'selector') {
+        try {
+            document.createDocumentFragment().querySelector(tag.selector);
+        } catch (error) {
+            tagItem.addClass('tag-invalid');
+            tagItem.find('.tag-details').text(`选择器无效: ${error.message}`);
+        }
+    }
+    
+    // 标记在当前对话中不生效的规则
+    if (!isRuleInScope(tag, scope)) {
+        tagItem.addClass('tag-out-of-scope');
+        tagItem.attr('title', '此规则在当前对话中不生效');
+    }
+    
+    const enabledCheckbox = tagItem.find('.tag-enabled');
+    enabledCheckbox.prop('checked', tag.enabled);
+    
+    if (!tag.enabled) {
+        tagItem.addClass('disabled');
+        tagItem.find('.enable-icon').hide();
+        tagItem.find('.disable-icon').show();
+    }
+
+    // 启用/禁用标签
+    enabledCheckbox.on('change', function() {
+        const checked = $(this).prop('checked');
+        tag.enabled = checked;
         
-        const enabledCheckbox = tagItem.find('.tag-enabled');
-        enabledCheckbox.prop('checked', tag.enabled);
-        
-        if (!tag.enabled) {
+        if (checked) {
+            tagItem.removeClass('disabled');
+            tagItem.find('.enable-icon').show();
+            tagItem.find('.disable-icon').hide();
+        } else {
             tagItem.addClass('disabled');
             tagItem.find('.enable-icon').hide();
             tagItem.find('.disable-icon').show();
         }
+        
+        updateGroupToggle(tagItem.closest('.tag-group'));
+        saveTagBlockerSettings();
+        refreshDisplayedMessages();
+    });
 
-        // 启用/禁用标签
-        enabledCheckbox.on('change', function() {
-            const checked = $(this).prop('checked');
-            tag.enabled = checked;
-            
-            if (checked) {
-                tagItem.removeClass('disabled');
-                tagItem.find('.enable-icon').show();
-                tagItem.find('.disable-icon').hide();
-            } else {
-                tagItem.addClass('disabled');
-                tagItem.find('.enable-icon').hide();
-                tagItem.find('.disable-icon').show();
-            }
-            
-            saveTagBlockerSettings();
-        });
-
-        // 编辑标签
-        tagItem.find('.edit-tag').on('click', function() {
-            if (tag.regexPattern) {
-                onEditRegexClick(tag.id);
-            } else {
-                onEditTagClick(tag.id);
-            }
-        });
-
-        // 删除标签
-        tagItem.find('.delete-tag').on('click', function() {
-            onDeleteTagClick(tag.id);
-        });
+    // 编辑标签
+    tagItem.find('.edit-tag').on('click', function() {
+        if (tag.ruleType === 'extract') {
+            onEditExtractClick(tag.id);
+        } else if (tag.ruleType === 'regex') {
+            onEditRegexClick(tag.id);
+        } else if (tag.ruleType === 'selector' || tag.ruleType === 'keypath') {
+            onEditStructuredClick(tag.id);
+        } else {
+            onEditTagClick(tag.id);
+        }
+    });
 
-        tagList.append(tagItem);
+    // 删除标签
+    tagItem.find('.delete-tag').on('click', function() {
+        onDeleteTagClick(tag.id);
     });
+    
+    return tagItem;
 }
 
 /**
- * 加载Prompt列表
+ * 创建规则分组
+ * @param {JQuery} groupTemplate 分组模板
+ * @param {TagBlockerGroup} group 分组
+ * @returns {JQuery} 分组元素
  */
-async function loadPromptList() {
-    const promptList = $('#prompt-list');
-    promptList.empty();
-
-    const promptTemplate = $(await renderExtensionTemplateAsync('tag-blocker', 'promptTemplate'));
-
-    extension_settings.tag_blocker.excludedPrompts.forEach(prompt => {
-        const promptItem = promptTemplate.clone();
-        
-        promptItem.attr('id', prompt.id);
-        // 截短显示
-        let displayText = prompt.text;
-        if (displayText.length > 100) {
-            displayText = displayText.substring(0, 97) + '...';
-        }
-        promptItem.find('.prompt-text').text(displayText);
-        promptItem.attr('title', prompt.text);
+function createGroupItem(groupTemplate, group) {
+    const groupItem = groupTemplate.clone();
+    
+    groupItem.attr('data-group-id', group.id);
+    groupItem.find('.tag-group-rules').attr('data-group-id', group.id);
+    groupItem.find('.tag-group-name').text(group.name);
+    groupItem.toggleClass('collapsed', !!group.collapsed);
+    
+    // 折叠/展开
+    groupItem.find('.group-collapse').on('click', function() {
+        group.collapsed = !group.collapsed;
+        groupItem.toggleClass('collapsed', group.collapsed);
+        saveTagBlockerSettings();
+    });
+    
+    // 启用/禁用分组中的所有规则
+    groupItem.find('.group-enabled').on('change', function() {
+        const checked = $(this).prop('checked');
+        extension_settings.tag_blocker.tags
+            .filter(tag => tag.groupId === group.id)
+            .forEach(tag => { tag.enabled = checked; });
         
-        // 显示来源信息
-        if (prompt.source) {
-            promptItem.find('.prompt-source').text(`来源: ${prompt.source}`);
-        }
+        saveTagBlockerSettings();
+        loadTagList();
+    });
+    
+    // 重命名分组
+    groupItem.find('.rename-group').on('click', async function() {
+        const name = await callGenericPopup('分组名称', POPUP_TYPE.INPUT, group.name);
+        if (typeof name !== 'string' || !name.trim()) return;
         
-        const excludedCheckbox = promptItem.find('.prompt-excluded');
-        excludedCheckbox.prop('checked', prompt.excluded);
+        group.name = name.trim();
+        groupItem.find('.tag-group-name').text(group.name);
+        saveTagBlockerSettings();
+    });
+    
+    // 删除分组，分组中的规则变为未分组
+    groupItem.find('.delete-group').on('click', async function() {
+        const confirmed = await callGenericPopup(`确定要删除分组"${group.name}"吗？分组中的规则不会被删除。`, POPUP_TYPE.CONFIRM);
+        if (!confirmed) return;
         
-        if (prompt.excluded) {
-            promptItem.addClass('excluded');
-            promptItem.find('.include-icon').show();
-            promptItem.find('.exclude-icon').hide();
-        }
-
-        // 排除/包含Prompt
-        excludedCheckbox.on('change', function() {
-            const checked = $(this).prop('checked');
-            prompt.excluded = checked;
-            
-            if (checked) {
-                promptItem.addClass('excluded');
-                promptItem.find('.include-icon').show();
-                promptItem.find('.exclude-icon').hide();
-            } else {
-                promptItem.removeClass('excluded');
-                promptItem.find('.include-icon').hide();
-                promptItem.find('.exclude-icon').show();
-            }
-            
-            saveTagBlockerSettings();
+        const settings = extension_settings.tag_blocker;
+        settings.groups = settings.groups.filter(item => item.id !== group.id);
+        settings.tags.forEach(tag => {
+            if (tag.groupId === group.id) tag.groupId = null;
         });
-
-        promptList.append(promptItem);
+        
+        saveTagBlockerSettings();
+        await loadTagList();
     });
+    
+    return groupItem;
 }
 
 /**
- * 添加新标签
+ * 根据分组中规则的启用状态更新分组开关
+ * @param {JQuery} groupItem 分组元素
  */
-async function onAddTagClick() {
-    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+function updateGroupToggle(groupItem) {
+    if (!groupItem.length) return;
     
-    // 初始化编辑器
-    editorHtml.find('#regex-pattern').parent().parent().hide(); // 隐藏正则输入框
+    const ruleCount = groupItem.find('.tag-item').length;
+    const enabledCount = groupItem.find('.tag-item:not(.disabled)').length;
+    const enabled = enabledCount > 0;
     
-    // 预览
-    editorHtml.find('#tag-start, #tag-end').on('input', function() {
-        const startTag = editorHtml.find('#tag-start').val();
-        const endTag = editorHtml.find('#tag-end').val();
-        
-        editorHtml.find('.tag-start-preview').text(startTag);
-        editorHtml.find('.tag-end-preview').text(endTag);
-    });
+    groupItem.find('.tag-group-count').text(`${enabledCount}/${ruleCount}`);
+    groupItem.find('.group-enabled').prop('checked', enabled);
+    groupItem.find('.tag-group-header .enable-icon').toggle(enabled);
+    groupItem.find('.tag-group-header .disable-icon').toggle(!enabled);
+}
 
-    const popupResult = await callPopup(editorHtml, 'confirm');
-    if (popupResult) {
-        const startTag = editorHtml.find('#tag-start').val();
-        const endTag = editorHtml.find('#tag-end').val();
-        const replaceString = editorHtml.find('#replace-string').val();
-        const minDepth = editorHtml.find('#min-depth').val() ? parseInt(editorHtml.find('#min-depth').val()) : null;
-        const maxDepth = editorHtml.find('#max-depth').val() ? parseInt(editorHtml.find('#max-depth').val()) : null;
-        const markdownOnly = editorHtml.find('#markdown-only').prop('checked');
-        const promptOnly = editorHtml.find('#prompt-only').prop('checked');
-        const runOnEdit = editorHtml.find('#run-on-edit').prop('checked');
-        
-        // 获取应用位置选项
-        const placement = [];
-        editorHtml.find('.placement-option:checked').each(function() {
-            placement.push(parseInt($(this).val()));
+/**
+ * 拖动排序后按列表顺序保存规则和分组
+ */
+function onTagOrderChanged() {
+    const settings = extension_settings.tag_blocker;
+    const tagsById = new Map(settings.tags.map(tag => [tag.id, tag]));
+    const orderedTags = [];
+    
+    $('#tag-list .tag-group-rules').each(function() {
+        const groupId = $(this).attr('data-group-id') || null;
+        $(this).children('.tag-item').each(function() {
+            const tag = tagsById.get($(this).attr('id'));
+            if (!tag) return;
+            
+            tag.groupId = groupId;
+            orderedTags.push(tag);
+            tagsById.delete(tag.id);
         });
+    });
+    
+    // 列表中没有显示的规则保持在末尾
+    orderedTags.push(...tagsById.values());
+    settings.tags.splice(0, settings.tags.length, ...orderedTags);
+    
+    const groupOrder = $('#tag-list > .tag-group').map(function() {
+        return $(this).attr('data-group-id');
+    }).get();
+    settings.groups.sort((a, b) => groupOrder.indexOf(a.id) - groupOrder.indexOf(b.id));
+    
+    $('#tag-list .tag-group').each(function() {
+        updateGroupToggle($(this));
+    });
+    
+    saveTagBlockerSettings();
+    refreshDisplayedMessages();
+}
+
+/**
+ * 加载标签列表
+ */
+async function loadTagList() {
+    const tagList = $('#tag-list');
+    tagList.empty();
+
+    const tagTemplate = $(await renderExtensionTemplateAsync('tag-blocker', 'tagTemplate'));
+    const groupTemplate = $(await renderExtensionTemplateAsync('tag-blocker', 'groupTemplate'));
+    
+    sortTagsByGroup();
+    const scope = getRuleScopeContext();
+    
+    // 未分组的规则
+    const ungroupedList = $('<div class="tag-group-rules ungrouped" data-group-id=""></div>');
+    tagList.append(ungroupedList);
+    
+    extension_settings.tag_blocker.groups.forEach(group => {
+        tagList.append(createGroupItem(groupTemplate, group));
+    });
+
+    extension_settings.tag_blocker.tags.forEach(tag => {
+        const tagItem = createTagItem(tagTemplate, tag, scope);
+        const container = tag.groupId
+            ? tagList.find(`.tag-group[data-group-id="${tag.groupId}"] .tag-group-rules`)
+            : ungroupedList;
+        container.append(tagItem);
+    });
+    
+    tagList.find('.tag-group').each(function() {
+        updateGroupToggle($(this));
+    });
+    
+    // 其他扩展注册的规则（不保存，可以采用为自己的规则）
+    const externalList = $('#external-tag-list');
+    externalList.empty();
+    externalRules.forEach(tag => {
+        const tagItem = createTagItem(tagTemplate, tag, scope);
+        tagItem.addClass('tag-external-item');
+        tagItem.find('.tag-drag-handle, .edit-tag, .delete-tag').remove();
+        tagItem.find('.tag-name').append($('<small class="tag-source"></small>').text(` 来自 ${tag.source}`));
         
-        if (!startTag || !endTag) {
-            window.toastr?.warning?.('开始标签和结束标签不能为空');
-            return;
-        }
-        
-        const newTag = {
-            id: uuidv4(),
-            scriptName: `标签 ${startTag}...${endTag}`,
-            startTag: startTag,
-            endTag: endTag,
-            regexPattern: null,
-            replaceString: replaceString,
-            minDepth: minDepth,
-            maxDepth: maxDepth,
-            markdownOnly: markdownOnly,
-            promptOnly: promptOnly,
-            runOnEdit: runOnEdit,
-            placement: placement.length > 0 ? placement : [2],
-            substituteRegex: 0,
-            enabled: true
-        };
+        const adoptButton = $('<div class="adopt-tag menu_button" title="采用为自己的规则（之后会被保存和导出）"><i class="fa-solid fa-file-import"></i></div>');
+        adoptButton.on('click', () => adoptExternalRule(tag.id));
+        tagItem.find('.tag-enabled').closest('.flex-container').append(adoptButton);
         
-        extension_settings.tag_blocker.tags.push(newTag);
-        saveTagBlockerSettings();
-        await loadTagList();
-    }
+        externalList.append(tagItem);
+    });
+    $('#external-tag-block').toggle(externalRules.size > 0);
+    
+    // 拖动排序规则（可在分组之间移动）及分组
+    tagList.find('.tag-group-rules').sortable({
+        connectWith: '#tag-list .tag-group-rules',
+        handle: '.tag-drag-handle',
+        delay: getSortableDelay(),
+        stop: onTagOrderChanged
+    });
+    tagList.sortable({
+        items: '> .tag-group',
+        handle: '.group-drag-handle',
+        delay: getSortableDelay(),
+        stop: onTagOrderChanged
+    });
+    
+    // 规则变化后同步刷新聊天中的显示内容
+    refreshDisplayedMessages();
 }
 
 /**
- * 添加新的正则表达式规则
+ * 添加新分组
  */
-async function onAddRegexClick() {
-    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+async function onAddGroupClick() {
+    const name = await callGenericPopup('分组名称', POPUP_TYPE.INPUT, '');
+    if (typeof name !== 'string' || !name.trim()) return;
     
-    // 初始化编辑器
-    editorHtml.find('#tag-start').parent().parent().hide(); // 隐藏标签输入框
-    editorHtml.find('#tag-end').parent().parent().hide(); // 隐藏标签输入框
-    editorHtml.find('.tag-preview').hide(); // 隐藏预览
+    extension_settings.tag_blocker.groups.push({
+        id: uuidv4(),
+        name: name.trim(),
+        collapsed: false
+    });
     
-    const popupResult = await callPopup(editorHtml, 'confirm');
-    if (popupResult) {
-        const regexPattern = editorHtml.find('#regex-pattern').val();
-        const replaceString = editorHtml.find('#replace-string').val();
-        const minDepth = editorHtml.find('#min-depth').val() ? parseInt(editorHtml.find('#min-depth').val()) : null;
-        const maxDepth = editorHtml.find('#max-depth').val() ? parseInt(editorHtml.find('#max-depth').val()) : null;
-        const markdownOnly = editorHtml.find('#markdown-only').prop('checked');
-        const promptOnly = editorHtml.find('#prompt-only').prop('checked');
-        const runOnEdit = editorHtml.find('#run-on-edit').prop('checked');
-        
-        // 获取应用位置选项
-        const placement = [];
-        editorHtml.find('.placement-option:checked').each(function() {
-            placement.push(parseInt($(this).val()));
-        });
-        
-        if (!regexPattern) {
-            window.toastr?.warning?.('正则表达式不能为空');
-            return;
+    saveTagBlockerSettings();
+    await loadTagList();
+}
+
+/**
+ * 记录当前所有规则的启用状态和楼层设置
+ * @returns {Object<string, RuleProfileEntry>}
+ */
+function captureProfileRules() {
+    return Object.fromEntries(extension_settings.tag_blocker.tags.map(tag => [tag.id, {
+        enabled: tag.enabled,
+        minDepth: tag.minDepth,
+        maxDepth: tag.maxDepth,
+        depthMode: tag.depthMode
+    }]));
+}
+
+/**
+ * 切换到规则方案，不在方案中的规则保持不变
+ * @param {RuleProfile} profile 规则方案
+ */
+async function applyRuleProfile(profile) {
+    for (const tag of extension_settings.tag_blocker.tags) {
+        const entry = profile.rules[tag.id];
+        if (entry) {
+            Object.assign(tag, entry);
         }
-        
-        const newTag = {
-            id: uuidv4(),
-            scriptName: `正则 ${regexPattern.substring(0, 20)}${regexPattern.length > 20 ? '...' : ''}`,
-            startTag: '',
-            endTag: '',
-            regexPattern: regexPattern,
-            replaceString: replaceString,
-            minDepth: minDepth,
-            maxDepth: maxDepth,
-            markdownOnly: markdownOnly,
-            promptOnly: promptOnly,
-            runOnEdit: runOnEdit,
-            placement: placement.length > 0 ? placement : [2],
-            substituteRegex: 0,
-            enabled: true
-        };
-        
-        extension_settings.tag_blocker.tags.push(newTag);
-        saveTagBlockerSettings();
-        await loadTagList();
     }
+    
+    extension_settings.tag_blocker.activeProfileId = profile.id;
+    logDebug(`切换到规则方案 "${profile.name}"`);
+    
+    saveTagBlockerSettings();
+    updateProfileSelect();
+    await loadTagList();
+    refreshDisplayedMessages();
 }
 
 /**
- * 导入脚本文件
+ * 获取当前使用的API、模型和连接配置
+ * @param {Object|null} body 拦截到的请求体 (提供时优先使用其中的API和模型)
+ * @returns {ConnectionInfo}
  */
-async function onImportScriptClick() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
+function getConnectionInfo(body = null) {
+    const context = getContext();
+    const connectionManager = extension_settings.connectionManager;
+    const connectionProfile = connectionManager?.profiles?.find(profile => profile.id === connectionManager.selectedProfile);
+    const isChatCompletion = context.mainApi === 'openai';
+    const onlineStatus = context.onlineStatus !== 'no_connection' ? context.onlineStatus : '';
     
-    input.onchange = async function(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = async function(e) {
-            try {
-                const scriptData = JSON.parse(e.target.result);
-                
-                // 检查是否有必要的字段
-                if (!scriptData.findRegex && (!scriptData.startTag || !scriptData.endTag)) {
-                    window.toastr?.error?.('无效的脚本文件，缺少必要的字段');
-                    return;
-                }
-                
-                const newTag = importScriptToTag(scriptData);
-                extension_settings.tag_blocker.tags.push(newTag);
-                saveTagBlockerSettings();
-                await loadTagList();
-                
-                window.toastr?.success?.(`成功导入脚本: ${newTag.scriptName}`);
-            } catch (error) {
-                console.error("导入脚本出错:", error);
-                window.toastr?.error?.('导入脚本失败: ' + error.message);
-            }
-        };
-        reader.readAsText(file);
+    return {
+        api: String(body?.chat_completion_source || (isChatCompletion ? context.chatCompletionSettings?.chat_completion_source : context.mainApi) || ''),
+        model: String(body?.model || (isChatCompletion ? openai.getChatCompletionModel() : onlineStatus) || ''),
+        connectionProfile: String(connectionProfile?.name || '')
     };
+}
+
+/**
+ * 检查连接信息是否满足方案的自动切换条件
+ * @param {RuleProfile} profile 规则方案
+ * @param {ConnectionInfo} info 连接信息
+ * @returns {boolean} 没有设置任何条件时返回false
+ */
+function isProfileMatched(profile, info) {
+    const { api, model, connectionProfile } = profile.match;
+    if (!api && !model && !connectionProfile) return false;
     
-    input.click();
+    if (api && api.toLowerCase() !== info.api.toLowerCase()) return false;
+    if (model && !info.model.toLowerCase().includes(model.toLowerCase())) return false;
+    if (connectionProfile && connectionProfile !== info.connectionProfile) return false;
+    
+    return true;
 }
 
 /**
- * 导出所有规则
+ * 生成时根据连接信息自动切换规则方案
+ * @param {ConnectionInfo} info 连接信息
  */
-async function onExportRulesClick() {
-    const rules = extension_settings.tag_blocker.tags;
-    if (!rules || rules.length === 0) {
-        window.toastr?.warning?.('没有可导出的规则');
+async function switchProfileForConnection(info) {
+    const settings = extension_settings.tag_blocker;
+    if (!settings.profileAutoSwitch) return;
+    
+    const profile = settings.profiles.find(item => isProfileMatched(item, info));
+    if (!profile || profile.id === settings.activeProfileId) return;
+    
+    await applyRuleProfile(profile);
+    window.toastr?.info?.(`已根据当前连接（${info.model || info.api}）切换到规则方案「${profile.name}」`);
+}
+
+/**
+ * 更新方案选择列表
+ */
+function updateProfileSelect() {
+    const settings = extension_settings.tag_blocker;
+    const select = $('#profile-select');
+    select.empty();
+    select.append($('<option></option>').val('').text('（未使用方案）'));
+    
+    for (const profile of settings.profiles) {
+        select.append($('<option></option>').val(profile.id).text(profile.name));
+    }
+    
+    select.val(settings.activeProfileId || '');
+}
+
+/**
+ * 获取方案列表中选中的方案
+ * @returns {RuleProfile|null}
+ */
+function getSelectedProfile() {
+    const profile = extension_settings.tag_blocker.profiles.find(item => item.id === $('#profile-select').val());
+    if (!profile) {
+        window.toastr?.warning?.('请先选择一个方案');
+    }
+    return profile || null;
+}
+
+/**
+ * 选择方案时切换
+ */
+async function onProfileSelectChange() {
+    const settings = extension_settings.tag_blocker;
+    const profile = settings.profiles.find(item => item.id === $(this).val());
+    
+    if (!profile) {
+        settings.activeProfileId = null;
+        saveTagBlockerSettings();
         return;
     }
     
-    // 转换为导出格式
-    const exportData = rules.map(rule => {
-        return {
-            id: rule.id,
-            scriptName: rule.scriptName,
-            findRegex: rule.regexPattern,
-            replaceString: rule.replaceString,
-            trimStrings: [],
-            placement: rule.placement,
-            disabled: !rule.enabled,
-            markdownOnly: rule.markdownOnly,
-            promptOnly: rule.promptOnly,
-            runOnEdit: rule.runOnEdit,
-            substituteRegex: rule.substituteRegex,
-            minDepth: rule.minDepth,
-            maxDepth: rule.maxDepth
-        };
-    });
+    await applyRuleProfile(profile);
+}
+
+/**
+ * 将当前规则设置另存为新方案
+ */
+async function onSaveProfileClick() {
+    const name = await callGenericPopup('方案名称', POPUP_TYPE.INPUT, '');
+    if (typeof name !== 'string' || !name.trim()) return;
     
-    // 创建下载
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+    const settings = extension_settings.tag_blocker;
+    const profile = {
+        id: uuidv4(),
+        name: name.trim(),
+        rules: captureProfileRules(),
+        match: { api: '', model: '', connectionProfile: '' }
+    };
+    settings.profiles.push(profile);
+    settings.activeProfileId = profile.id;
     
-    const link = document.createElement('a');
-    link.download = 'tag_blocker_rules.json';
-    link.href = url;
-    link.click();
+    saveTagBlockerSettings();
+    updateProfileSelect();
+    window.toastr?.success?.(`已保存方案「${profile.name}」`);
+}
+
+/**
+ * 用当前规则设置覆盖选中的方案
+ */
+async function onUpdateProfileClick() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
     
-    setTimeout(() => {
-        URL.revokeObjectURL(url);
-    }, 100);
+    profile.rules = captureProfileRules();
+    saveTagBlockerSettings();
+    window.toastr?.success?.(`已更新方案「${profile.name}」`);
 }
 
 /**
- * 编辑现有标签
- * @param {string} tagId 标签ID
+ * 编辑选中方案的自动切换条件
  */
-async function onEditTagClick(tagId) {
-    const tag = extension_settings.tag_blocker.tags.find(t => t.id === tagId);
-    if (!tag) return;
+async function onEditProfileMatchClick() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
     
-    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'profile'));
+    editorHtml.find('#profile-match-api').val(profile.match.api);
+    editorHtml.find('#profile-match-model').val(profile.match.model);
+    editorHtml.find('#profile-match-connection').val(profile.match.connectionProfile);
     
-    // 隐藏正则字段
-    editorHtml.find('#regex-pattern').parent().parent().hide();
+    const current = getConnectionInfo();
+    editorHtml.find('.profile-current-connection')
+        .text(`当前：API ${current.api || '未知'}，模型 ${current.model || '未知'}，连接配置 ${current.connectionProfile || '无'}`);
     
-    // 填充表单
-    editorHtml.find('#tag-start').val(tag.startTag);
-    editorHtml.find('#tag-end').val(tag.endTag);
-    editorHtml.find('#replace-string').val(tag.replaceString);
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (!popupResult) return;
     
-    if (tag.minDepth !== null) editorHtml.find('#min-depth').val(tag.minDepth);
-    if (tag.maxDepth !== null) editorHtml.find('#max-depth').val(tag.maxDepth);
+    profile.match = {
+        api: String(editorHtml.find('#profile-match-api').val() || '').trim(),
+        model: String(editorHtml.find('#profile-match-model').val() || '').trim(),
+        connectionProfile: String(editorHtml.find('#profile-match-connection').val() || '').trim()
+    };
+    saveTagBlockerSettings();
+}
+
+/**
+ * 删除选中的方案
+ */
+async function onDeleteProfileClick() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
     
-    editorHtml.find('#markdown-only').prop('checked', tag.markdownOnly);
-    editorHtml.find('#prompt-only').prop('checked', tag.promptOnly);
-    editorHtml.find('#run-on-edit').prop('checked', tag.runOnEdit);
+    const confirmed = await callGenericPopup(`确定要删除方案「${profile.name}」吗？规则本身不会被删除。`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
     
-    // 设置位置选项
-    if (Array.isArray(tag.placement)) {
-        tag.placement.forEach(pos => {
-            editorHtml.find(`.placement-option[value="${pos}"]`).prop('checked', true);
-        });
+    const settings = extension_settings.tag_blocker;
+    settings.profiles = settings.profiles.filter(item => item.id !== profile.id);
+    if (settings.activeProfileId === profile.id) {
+        settings.activeProfileId = null;
     }
     
-    // 更新预览
-    editorHtml.find('.tag-start-preview').text(tag.startTag);
-    editorHtml.find('.tag-end-preview').text(tag.endTag);
-    
-    editorHtml.find('#tag-start, #tag-end').on('input', function() {
-        const startTag = editorHtml.find('#tag-start').val();
-        const endTag = editorHtml.find('#tag-end').val();
-        
-        editorHtml.find('.tag-start-preview').text(startTag);
-        editorHtml.find('.tag-end-preview').text(endTag);
-    });
+    saveTagBlockerSettings();
+    updateProfileSelect();
+}
 
-    const popupResult = await callPopup(editorHtml, 'confirm');
-    if (popupResult) {
-        const startTag = editorHtml.find('#tag-start').val();
-        const endTag = editorHtml.find('#tag-end').val();
-        const replaceString = editorHtml.find('#replace-string').val();
-        const minDepth = editorHtml.find('#min-depth').val() ? parseInt(editorHtml.find('#min-depth').val()) : null;
-        const maxDepth = editorHtml.find('#max-depth').val() ? parseInt(editorHtml.find('#max-depth').val()) : null;
-        const markdownOnly = editorHtml.find('#markdown-only').prop('checked');
-        const promptOnly = editorHtml.find('#prompt-only').prop('checked');
-        const runOnEdit = editorHtml.find('#run-on-edit').prop('checked');
-        
-        // 获取应用位置选项
-        const placement = [];
-        editorHtml.find('.placement-option:checked').each(function() {
-            placement.push(parseInt($(this).val()));
-        });
+/** @type {ScannedMessage[]} 当前对话中扫描到的消息 */
+let scannedMessages = [];
+
+/**
+ * 加载Prompt列表
+ */
+async function loadPromptList() {
+    const promptList = $('#prompt-list');
+    promptList.empty();
+
+    const promptTemplate = $(await renderExtensionTemplateAsync('tag-blocker', 'promptTemplate'));
+
+    scannedMessages.forEach(prompt => {
+        const promptItem = promptTemplate.clone();
+        const excluded = isMessageExcluded(prompt.messageId);
         
-        if (!startTag || !endTag) {
-            window.toastr?.warning?.('开始标签和结束标签不能为空');
-            return;
+        promptItem.attr('data-mesid', prompt.messageId);
+        // 截短显示
+        let displayText = prompt.text;
+        if (displayText.length > 100) {
+            displayText = displayText.substring(0, 97) + '...';
         }
+        promptItem.find('.prompt-text').text(displayText);
+        promptItem.attr('title', prompt.text);
         
-        tag.scriptName = `标签 ${startTag}...${endTag}`;
-        tag.startTag = startTag;
-        tag.endTag = endTag;
-        tag.replaceString = replaceString;
-        tag.minDepth = minDepth;
-        tag.maxDepth = maxDepth;
-        tag.markdownOnly = markdownOnly;
-        tag.promptOnly = promptOnly;
-        tag.runOnEdit = runOnEdit;
-        tag.placement = placement.length > 0 ? placement : [2];
+        // 显示来源信息
+        if (prompt.source) {
+            promptItem.find('.prompt-source').text(`来源: ${prompt.source}`);
+        }
         
-        saveTagBlockerSettings();
-        await loadTagList();
+        const excludedCheckbox = promptItem.find('.prompt-excluded');
+        excludedCheckbox.prop('checked', excluded);
+        
+        if (excluded) {
+            promptItem.addClass('excluded');
+            promptItem.find('.include-icon').show();
+            promptItem.find('.exclude-icon').hide();
+        }
+
+        // 排除/包含消息
+        excludedCheckbox.on('change', function() {
+            const checked = $(this).prop('checked');
+            
+            if (checked) {
+                promptItem.addClass('excluded');
+                promptItem.find('.include-icon').show();
+                promptItem.find('.exclude-icon').hide();
+            } else {
+                promptItem.removeClass('excluded');
+                promptItem.find('.include-icon').hide();
+                promptItem.find('.exclude-icon').show();
+            }
+            
+            setMessagesExcluded([prompt.messageId], checked);
+        });
+
+        promptList.append(promptItem);
+    });
+}
+
+/**
+ * 初始化规则编辑器中的测试区域
+ * @param {JQuery} editorHtml 编辑器元素
+ * @param {'tag'|'regex'|'extract'|'selector'|'keypath'} mode 规则类型
+ */
+function setupRuleTester(editorHtml, mode) {
+    const messageSelect = editorHtml.find('#tester-message');
+    const testerInput = editorHtml.find('#tester-input');
+    
+    // 可选择对话中的消息作为测试文本
+    const context = getContext();
+    const chat = Array.isArray(context?.chat) ? context.chat : [];
+    for (let floor = chat.length - 1; floor >= 0; floor--) {
+        const message = chat[floor];
+        if (!message.mes) continue;
+        const excerpt = message.mes.length > 40 ? message.mes.substring(0, 37) + '...' : message.mes;
+        messageSelect.append($('<option></option>').val(floor).text(`#${floor} ${message.name || ''}: ${excerpt}`));
+    }
+    
+    messageSelect.on('change', function() {
+        const floor = $(this).val();
+        if (floor !== '') {
+            testerInput.val(chat[Number(floor)]?.mes || '');
+        }
+        runRuleTester(editorHtml, mode);
+    });
+    
+    editorHtml.find('#tag-start, #tag-end, #regex-pattern, #selector-pattern, #key-paths, #replace-string, #trim-strings, #tester-input').on('input', function() {
+        runRuleTester(editorHtml, mode);
+    });
+    
+    // 提取标签对是动态添加的，使用事件委托
+    editorHtml.find('.extract-option').on('input', 'input, textarea', function() {
+        runRuleTester(editorHtml, mode);
+    });
+    
+    editorHtml.find('#substitute-regex, #unclosed-mode, #tag-case-insensitive, #extract-fallback, #selector-mode').on('change', function() {
+        runRuleTester(editorHtml, mode);
+    });
+    
+    runRuleTester(editorHtml, mode);
+}
+
+/** @type {number} 规则测试的次数，后台线程返回前又开始了新的测试时丢弃旧结果 */
+let ruleTesterRunId = 0;
+
+/**
+ * 使用编辑器中的规则处理测试文本并显示结果
+ * @param {JQuery} editorHtml 编辑器元素
+ * @param {'tag'|'regex'|'extract'|'selector'|'keypath'} mode 规则类型
+ */
+async function runRuleTester(editorHtml, mode) {
+    const runId = ++ruleTesterRunId;
+    const text = String(editorHtml.find('#tester-input').val() || '');
+    const rule = {
+        ...readEditorOptions(editorHtml),
+        ...readExtractOptions(editorHtml),
+        ...readStructuredOptions(editorHtml),
+        startTag: String(editorHtml.find('#tag-start').val() || ''),
+        endTag: String(editorHtml.find('#tag-end').val() || ''),
+        regexPattern: String(editorHtml.find('#regex-pattern').val() || '')
+    };
+    const errorBlock = editorHtml.find('.tester-error');
+    const matchList = editorHtml.find('.tester-matches');
+    const output = editorHtml.find('.tester-output');
+    
+    errorBlock.hide();
+    matchList.empty();
+    output.empty();
+    
+    const spans = [];
+    if (mode === 'extract') {
+        processWithExtract(text, rule, spans, engineEnv);
+    } else if (mode === 'selector') {
+        if (!rule.selector) return;
+        
+        try {
+            document.createDocumentFragment().querySelector(rule.selector);
+        } catch (error) {
+            errorBlock.text(`选择器无效: ${error.message}`).show();
+            return;
+        }
+        processWithSelector(text, rule, spans, engineEnv);
+    } else if (mode === 'keypath') {
+        processWithKeyPaths(text, rule, spans);
+    } else if (mode === 'regex') {
+        if (!rule.regexPattern) return;
+        
+        // 与实际处理使用相同的解析流程，但显示错误而不是静默忽略
+        let regex;
+        try {
+            regex = parseRegexString(substituteFindRegex(rule.regexPattern, rule.substituteRegex, engineEnv));
+        } catch (error) {
+            errorBlock.text(`正则表达式无效: ${error.message}`).show();
+            return;
+        }
+        
+        // 输入时每次按键都会测试，先在后台线程中试运行，避免回溯过多的正则卡住页面
+        const settings = extension_settings.tag_blocker;
+        if (settings.regexGuard) {
+            const timeout = Number(settings.regexTimeout) || 500;
+            const result = await tryRegexInWorker(regex, [text], timeout);
+            if (runId !== ruleTesterRunId) return;
+            if (result?.timedOut) {
+                errorBlock.text(`正则表达式执行超过 ${timeout} 毫秒，已停止测试，请检查是否存在过多回溯`).show();
+                return;
+            }
+        }
+        processWithRegex(text, rule, spans, engineEnv);
+    } else {
+        if (!rule.startTag || !rule.endTag) return;
+        
+        processWithTags(text, rule, spans, engineEnv);
+    }
+    
+    editorHtml.find('.tester-summary').text(`匹配 ${spans.length} 处`);
+    
+    spans.forEach((span, index) => {
+        const matchItem = $('<div class="tester-match"></div>');
+        matchItem.append($('<div></div>').text(`#${index + 1} [${span.start}-${span.end}] ${span.match}`));
+        span.captures.forEach((capture, groupIndex) => {
+            matchItem.append($('<small></small>').text(`$${groupIndex + 1}: ${capture ?? '(未匹配)'}`));
+        });
+        Object.entries(span.groups || {}).forEach(([name, value]) => {
+            matchItem.append($('<small></small>').text(`$<${name}>: ${value ?? '(未匹配)'}`));
+        });
+        matchList.append(matchItem);
+    });
+    
+    output.append(renderSpanDiff(text, spans).contents());
+}
+
+/**
+ * 将规则的通用选项填入编辑器
+ * @param {JQuery} editorHtml 编辑器元素
+ * @param {TagBlockerTag} tag 规则
+ */
+function fillEditorOptions(editorHtml, tag) {
+    editorHtml.find('#rule-name').val(tag.scriptName);
+    editorHtml.find('#replace-string').val(tag.replaceString);
+    editorHtml.find('#replace-mode').val(tag.replaceMode);
+    editorHtml.find('#summary-source').val(tag.summarySource);
+    editorHtml.find('#summary-template').val(tag.summaryTemplate);
+    editorHtml.find('#trim-strings').val((tag.trimStrings || []).join('\n'));
+    editorHtml.find('#substitute-regex').val(String(tag.substituteRegex || 0));
+    
+    if (tag.minDepth !== null) editorHtml.find('#min-depth').val(tag.minDepth);
+    if (tag.maxDepth !== null) editorHtml.find('#max-depth').val(tag.maxDepth);
+    editorHtml.find('#depth-mode').val(tag.depthMode);
+    editorHtml.find('#unclosed-mode').val(tag.unclosedMode);
+    editorHtml.find('#tag-case-insensitive').prop('checked', tag.tagCaseInsensitive);
+    
+    editorHtml.find('#markdown-only').prop('checked', tag.markdownOnly);
+    editorHtml.find('#prompt-only').prop('checked', tag.promptOnly);
+    editorHtml.find('#run-on-edit').prop('checked', tag.runOnEdit);
+    
+    // 设置位置选项
+    if (Array.isArray(tag.placement)) {
+        editorHtml.find('.placement-option').prop('checked', false);
+        tag.placement.forEach(pos => {
+            editorHtml.find(`.placement-option[value="${pos}"]`).prop('checked', true);
+        });
+    }
+    
+    editorHtml.find('#rule-scope').val(tag.scope);
+    editorHtml.find('#scope-targets').data('selected', tag.scopeTargets);
+    
+    editorHtml.find('#rule-priority').val(tag.priority);
+    editorHtml.find('#condition-logic').val(tag.conditions.logic);
+    editorHtml.find('#condition-list').data('conditions', tag.conditions.items);
+}
+
+/**
+ * 初始化编辑器中的条件列表
+ * @param {JQuery} editorHtml 编辑器元素
+ */
+function setupConditionEditor(editorHtml) {
+    const conditionList = editorHtml.find('#condition-list');
+    const placeholders = {
+        'match': '正则表达式，例如：/<summary>/i',
+        'not-match': '正则表达式，例如：/<summary>/i',
+        'chat-length': '消息数',
+        'prompt-tokens': 'token数',
+        'author': '发言者名称'
+    };
+    
+    const addCondition = (condition = { type: 'match', value: '' }) => {
+        const row = $(`
+            <div class="rule-condition flex-container alignItemsCenter">
+                <select class="condition-type text_pole textarea_compact">
+                    <option value="match">消息匹配正则</option>
+                    <option value="not-match">消息不匹配正则</option>
+                    <option value="chat-length">对话消息数大于</option>
+                    <option value="prompt-tokens">提示词token数大于</option>
+                    <option value="author">发言者为</option>
+                    <option value="generation">生成类型为</option>
+                </select>
+                <input class="condition-value text_pole textarea_compact flex1" type="text" />
+                <select class="condition-generation text_pole textarea_compact flex1">
+                    <option value="swipe">滑动重新生成</option>
+                    <option value="regenerate">重新生成</option>
+                    <option value="continue">继续</option>
+                    <option value="impersonate">代入</option>
+                    <option value="quiet">后台生成</option>
+                </select>
+                <div class="remove-condition menu_button" title="删除条件">
+                    <i class="fa-solid fa-trash"></i>
+                </div>
+            </div>`);
+        
+        const typeSelect = row.find('.condition-type');
+        typeSelect.on('change', function() {
+            const type = String($(this).val());
+            row.find('.condition-value').toggle(type !== 'generation').attr('placeholder', placeholders[type] || '');
+            row.find('.condition-generation').toggle(type === 'generation');
+        });
+        row.find('.remove-condition').on('click', () => row.remove());
+        
+        typeSelect.val(condition.type);
+        row.find(condition.type === 'generation' ? '.condition-generation' : '.condition-value').val(condition.value);
+        typeSelect.trigger('change');
+        
+        conditionList.append(row);
+    };
+    
+    (conditionList.data('conditions') || []).forEach(condition => addCondition(condition));
+    editorHtml.find('#add-condition').on('click', () => addCondition());
+}
+
+/**
+ * 读取编辑器中的条件
+ * @param {JQuery} editorHtml 编辑器元素
+ * @returns {RuleConditions}
+ */
+function readConditions(editorHtml) {
+    const items = editorHtml.find('.rule-condition').map(function() {
+        const type = String($(this).find('.condition-type').val());
+        const value = String($(this).find(type === 'generation' ? '.condition-generation' : '.condition-value').val() || '');
+        return { type: type, value: value };
+    }).get().filter(condition => condition.value !== '');
+    
+    return {
+        logic: editorHtml.find('#condition-logic').val() === 'or' ? 'or' : 'and',
+        items: items
+    };
+}
+
+/**
+ * 初始化编辑器中的作用范围选项
+ * @param {JQuery} editorHtml 编辑器元素
+ */
+function setupScopeEditor(editorHtml) {
+    const context = getContext();
+    const scope = getRuleScopeContext();
+    const container = editorHtml.find('#scope-targets');
+    
+    const render = selected => {
+        container.empty();
+        
+        /** @type {{value: string, label: string}[]} */
+        let options = [];
+        switch (editorHtml.find('#rule-scope').val()) {
+            case 'character':
+                options = (context.characters || []).map(item => ({ value: item.avatar, label: item.name }));
+                break;
+            case 'group':
+                options = (context.groups || []).map(item => ({ value: item.id, label: item.name }));
+                break;
+            case 'chat':
+                // 只能选择当前对话，已保存的其他对话保留在列表中
+                options = [...new Set([scope.chatId, ...selected].filter(Boolean))]
+                    .map(id => ({ value: id, label: id === scope.chatId ? `${id}（当前对话）` : id }));
+                break;
+        }
+        
+        for (const option of options) {
+            const label = $('<label class="checkbox flex-container alignItemsCenter"></label>');
+            const checkbox = $('<input type="checkbox" class="scope-target" />')
+                .val(option.value)
+                .prop('checked', selected.includes(option.value) || (options.length === 1 && selected.length === 0));
+            label.append(checkbox, $('<span></span>').text(option.label));
+            container.append(label);
+        }
+        
+        container.toggle(options.length > 0);
+    };
+    
+    editorHtml.find('#rule-scope').on('change', () => render(getSelectedScopeTargets(editorHtml)));
+    render(container.data('selected') || []);
+}
+
+/**
+ * 初始化编辑器中的摘要设置
+ * @param {JQuery} editorHtml 编辑器元素
+ */
+function setupSummaryEditor(editorHtml) {
+    const hints = {
+        template: '摘要模板（支持 $1、$<name> 和 {{match}}）',
+        script: 'STscript脚本（{{var::match}} 为匹配的内容，{{var::content}} 为 $1，脚本的输出作为摘要）',
+        api: '通过连接配置发送的提示词（支持 $1、$<name> 和 {{match}}）'
+    };
+    
+    const update = () => {
+        editorHtml.find('.summary-settings').toggle(editorHtml.find('#replace-mode').val() === 'summary');
+        editorHtml.find('.summary-template-hint').text(hints[String(editorHtml.find('#summary-source').val())] || hints.template);
+    };
+    
+    editorHtml.find('#replace-mode, #summary-source').on('change', update);
+    update();
+}
+
+/**
+ * 读取编辑器中选中的作用对象
+ * @param {JQuery} editorHtml 编辑器元素
+ * @returns {string[]}
+ */
+function getSelectedScopeTargets(editorHtml) {
+    return editorHtml.find('.scope-target:checked').map(function() {
+        return String($(this).val());
+    }).get();
+}
+
+/**
+ * 读取编辑器中的通用选项
+ * @param {JQuery} editorHtml 编辑器元素
+ * @returns {Partial<TagBlockerTag>} 规则选项
+ */
+function readEditorOptions(editorHtml) {
+    // 获取应用位置选项
+    const placement = [];
+    editorHtml.find('.placement-option:checked').each(function() {
+        placement.push(parseInt($(this).val()));
+    });
+    
+    const scope = String(editorHtml.find('#rule-scope').val() || 'global');
+    
+    // 留空时使用根据规则内容生成的名称
+    const name = String(editorHtml.find('#rule-name').val() || '').trim();
+    
+    return {
+        ...(name ? { scriptName: name } : {}),
+        replaceString: String(editorHtml.find('#replace-string').val() || ''),
+        replaceMode: editorHtml.find('#replace-mode').val() === 'summary' ? 'summary' : 'replace',
+        summarySource: String(editorHtml.find('#summary-source').val() || 'template'),
+        summaryTemplate: String(editorHtml.find('#summary-template').val() || ''),
+        trimStrings: String(editorHtml.find('#trim-strings').val() || '').split('\n').filter(line => line),
+        substituteRegex: parseInt(editorHtml.find('#substitute-regex').val()) || 0,
+        minDepth: editorHtml.find('#min-depth').val() ? parseInt(editorHtml.find('#min-depth').val()) : null,
+        maxDepth: editorHtml.find('#max-depth').val() ? parseInt(editorHtml.find('#max-depth').val()) : null,
+        depthMode: editorHtml.find('#depth-mode').val(),
+        unclosedMode: editorHtml.find('#unclosed-mode').val(),
+        tagCaseInsensitive: editorHtml.find('#tag-case-insensitive').prop('checked'),
+        markdownOnly: editorHtml.find('#markdown-only').prop('checked'),
+        promptOnly: editorHtml.find('#prompt-only').prop('checked'),
+        runOnEdit: editorHtml.find('#run-on-edit').prop('checked'),
+        placement: placement.length > 0 ? placement : [2],
+        scope: scope,
+        scopeTargets: scope === 'global' ? [] : getSelectedScopeTargets(editorHtml),
+        conditions: readConditions(editorHtml),
+        priority: Number(editorHtml.find('#rule-priority').val()) || 0
+    };
+}
+
+/**
+ * 添加新标签
+ */
+async function onAddTagClick() {
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 初始化编辑器
+    editorHtml.find('#regex-pattern').parent().parent().hide(); // 隐藏正则输入框
+    editorHtml.find('#substitute-regex').parent().parent().hide(); // 隐藏宏替换选项
+    editorHtml.find('.extract-option').hide(); // 隐藏提取选项
+    
+    // 预览
+    editorHtml.find('#tag-start, #tag-end').on('input', function() {
+        const startTag = editorHtml.find('#tag-start').val();
+        const endTag = editorHtml.find('#tag-end').val();
+        
+        editorHtml.find('.tag-start-preview').text(startTag);
+        editorHtml.find('.tag-end-preview').text(endTag);
+    });
+
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, 'tag');
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const startTag = editorHtml.find('#tag-start').val();
+        const endTag = editorHtml.find('#tag-end').val();
+        
+        if (!startTag || !endTag) {
+            window.toastr?.warning?.('开始标签和结束标签不能为空');
+            return;
+        }
+        
+        const newTag = {
+            id: uuidv4(),
+            scriptName: `标签 ${startTag}...${endTag}`,
+            ruleType: 'tag',
+            startTag: startTag,
+            endTag: endTag,
+            regexPattern: null,
+            ...readEditorOptions(editorHtml),
+            enabled: true
+        };
+        
+        extension_settings.tag_blocker.tags.push(newTag);
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 添加新的正则表达式规则
+ */
+async function onAddRegexClick() {
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 初始化编辑器
+    editorHtml.find('#tag-start').parent().parent().hide(); // 隐藏标签输入框
+    editorHtml.find('#tag-end').parent().parent().hide(); // 隐藏标签输入框
+    editorHtml.find('.tag-preview').hide(); // 隐藏预览
+    editorHtml.find('.tag-only-option').hide(); // 隐藏标签模式选项
+    editorHtml.find('.extract-option').hide(); // 隐藏提取选项
+    
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, 'regex');
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const regexPattern = editorHtml.find('#regex-pattern').val();
+        const options = readEditorOptions(editorHtml);
+        
+        if (!regexPattern) {
+            window.toastr?.warning?.('正则表达式不能为空');
+            return;
+        }
+        
+        try {
+            parseRegexString(substituteFindRegex(regexPattern, options.substituteRegex, engineEnv));
+        } catch (error) {
+            window.toastr?.warning?.(`正则表达式无效: ${error.message}`);
+            return;
+        }
+        
+        const newTag = {
+            id: uuidv4(),
+            scriptName: `正则 ${regexPattern.substring(0, 20)}${regexPattern.length > 20 ? '...' : ''}`,
+            startTag: '',
+            endTag: '',
+            ruleType: 'regex',
+            regexPattern: regexPattern,
+            ...options,
+            enabled: true
+        };
+        
+        extension_settings.tag_blocker.tags.push(newTag);
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 初始化编辑器中的提取选项
+ * @param {JQuery} editorHtml 编辑器元素
+ * @param {ExtractPair[]} pairs 标签对
+ */
+function setupExtractEditor(editorHtml, pairs) {
+    const pairList = editorHtml.find('#extract-pairs');
+    
+    const addPair = (pair = { startTag: '', endTag: '' }) => {
+        const row = $(`
+            <div class="extract-pair flex-container alignItemsCenter">
+                <input class="extract-start text_pole textarea_compact flex1" type="text" placeholder="开始标签，例如：<details>" />
+                <input class="extract-end text_pole textarea_compact flex1" type="text" placeholder="结束标签，例如：</details>" />
+                <div class="remove-extract-pair menu_button" title="删除">
+                    <i class="fa-solid fa-trash"></i>
+                </div>
+            </div>`);
+        row.find('.extract-start').val(pair.startTag);
+        row.find('.extract-end').val(pair.endTag);
+        row.find('.remove-extract-pair').on('click', () => {
+            row.remove();
+            editorHtml.find('#tester-input').trigger('input');
+        });
+        pairList.append(row);
+    };
+    
+    (pairs.length > 0 ? pairs : [undefined]).forEach(pair => addPair(pair));
+    editorHtml.find('#add-extract-pair').on('click', () => addPair());
+    
+    editorHtml.find('#extract-fallback').on('change', function() {
+        editorHtml.find('#extract-placeholder').parent().toggle($(this).val() === 'placeholder');
+    }).trigger('change');
+}
+
+/**
+ * 读取编辑器中的提取选项
+ * @param {JQuery} editorHtml 编辑器元素
+ * @returns {Partial<TagBlockerTag>} 提取选项
+ */
+function readExtractOptions(editorHtml) {
+    const extractPairs = editorHtml.find('.extract-pair').map(function() {
+        return {
+            startTag: String($(this).find('.extract-start').val() || ''),
+            endTag: String($(this).find('.extract-end').val() || '')
+        };
+    }).get().filter(pair => pair.startTag && pair.endTag);
+    
+    return {
+        extractPairs: extractPairs,
+        extractSeparator: String(editorHtml.find('#extract-separator').val() ?? ''),
+        extractTemplate: String(editorHtml.find('#extract-template').val() || ''),
+        extractFallback: /** @type {'keep'|'drop'|'placeholder'} */ (editorHtml.find('#extract-fallback').val()),
+        extractPlaceholder: String(editorHtml.find('#extract-placeholder').val() || '')
+    };
+}
+
+/**
+ * 隐藏编辑器中提取规则不使用的选项
+ * @param {JQuery} editorHtml 编辑器元素
+ */
+function hideNonExtractOptions(editorHtml) {
+    editorHtml.find('#tag-start').parent().parent().hide();
+    editorHtml.find('#tag-end').parent().parent().hide();
+    editorHtml.find('#regex-pattern').parent().parent().hide();
+    editorHtml.find('#replace-string').parent().parent().hide();
+    editorHtml.find('#substitute-regex').parent().parent().hide();
+    editorHtml.find('.summary-option').hide();
+    editorHtml.find('.tag-preview').hide();
+}
+
+/**
+ * 添加新的提取规则
+ */
+async function onAddExtractClick() {
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 初始化编辑器
+    hideNonExtractOptions(editorHtml);
+    editorHtml.find('#extract-separator').val('\n\n');
+    setupExtractEditor(editorHtml, []);
+    
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, 'extract');
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const extractOptions = readExtractOptions(editorHtml);
+        
+        if (extractOptions.extractPairs.length === 0) {
+            window.toastr?.warning?.('至少需要一对开始标签和结束标签');
+            return;
+        }
+        
+        const newTag = {
+            id: uuidv4(),
+            scriptName: `提取 ${extractOptions.extractPairs.map(pair => pair.startTag).join(', ')}`,
+            ruleType: 'extract',
+            regexPattern: null,
+            ...readEditorOptions(editorHtml),
+            ...extractOptions,
+            enabled: true
+        };
+        
+        extension_settings.tag_blocker.tags.push(normalizeTag(newTag));
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 编辑提取规则
+ * @param {string} tagId 规则ID
+ */
+async function onEditExtractClick(tagId) {
+    const tag = extension_settings.tag_blocker.tags.find(t => t.id === tagId);
+    if (!tag) return;
+    
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 填充表单
+    hideNonExtractOptions(editorHtml);
+    fillEditorOptions(editorHtml, tag);
+    editorHtml.find('#extract-separator').val(tag.extractSeparator);
+    editorHtml.find('#extract-template').val(tag.extractTemplate);
+    editorHtml.find('#extract-fallback').val(tag.extractFallback);
+    editorHtml.find('#extract-placeholder').val(tag.extractPlaceholder);
+    setupExtractEditor(editorHtml, tag.extractPairs);
+    
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, 'extract');
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const extractOptions = readExtractOptions(editorHtml);
+        
+        if (extractOptions.extractPairs.length === 0) {
+            window.toastr?.warning?.('至少需要一对开始标签和结束标签');
+            return;
+        }
+        
+        tag.scriptName = `提取 ${extractOptions.extractPairs.map(pair => pair.startTag).join(', ')}`;
+        Object.assign(tag, readEditorOptions(editorHtml), extractOptions);
+        
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 读取编辑器中选择器和键路径规则的选项
+ * @param {JQuery} editorHtml 编辑器元素
+ * @returns {Partial<TagBlockerTag>} 规则选项
+ */
+function readStructuredOptions(editorHtml) {
+    return {
+        selector: String(editorHtml.find('#selector-pattern').val() || '').trim(),
+        selectorMode: editorHtml.find('#selector-mode').val() === 'keep' ? 'keep' : 'remove',
+        keyPaths: String(editorHtml.find('#key-paths').val() || '').split('\n').map(line => line.trim()).filter(line => line)
+    };
+}
+
+/**
+ * 显示选择器或键路径规则使用的选项，隐藏其他选项
+ * @param {JQuery} editorHtml 编辑器元素
+ * @param {'selector'|'keypath'} ruleType 规则类型
+ */
+function setupStructuredEditor(editorHtml, ruleType) {
+    editorHtml.find('#tag-start').parent().parent().hide();
+    editorHtml.find('#tag-end').parent().parent().hide();
+    editorHtml.find('#regex-pattern').parent().parent().hide();
+    editorHtml.find('#substitute-regex').parent().parent().hide();
+    editorHtml.find('.tag-only-option').hide();
+    editorHtml.find('.extract-option').hide();
+    editorHtml.find('.tag-preview').hide();
+    
+    if (ruleType === 'keypath') {
+        editorHtml.find('.keypath-option').show();
+        editorHtml.find('#replace-string').parent().parent().hide();
+        editorHtml.find('#trim-strings').parent().parent().hide();
+        editorHtml.find('.summary-option').hide();
+        return;
+    }
+    
+    // 只保留匹配的元素时不使用替换文本
+    editorHtml.find('.selector-option').show();
+    const update = () => {
+        const keep = editorHtml.find('#selector-mode').val() === 'keep';
+        editorHtml.find('#replace-string').parent().parent().toggle(!keep);
+        editorHtml.find('#trim-strings').parent().parent().toggle(!keep);
+        editorHtml.find('.summary-option').toggle(!keep);
+    };
+    editorHtml.find('#selector-mode').on('change', update);
+    update();
+}
+
+/**
+ * 检查选择器或键路径规则的选项，无效时提示
+ * @param {'selector'|'keypath'} ruleType 规则类型
+ * @param {Partial<TagBlockerTag>} options 规则选项
+ * @returns {boolean} 是否有效
+ */
+function validateStructuredOptions(ruleType, options) {
+    if (ruleType === 'keypath') {
+        if (options.keyPaths.length === 0) {
+            window.toastr?.warning?.('至少需要一个键路径');
+            return false;
+        }
+        return true;
+    }
+    
+    if (!options.selector) {
+        window.toastr?.warning?.('选择器不能为空');
+        return false;
+    }
+    
+    try {
+        document.createDocumentFragment().querySelector(options.selector);
+    } catch (error) {
+        window.toastr?.warning?.(`选择器无效: ${error.message}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 获取选择器或键路径规则的默认名称
+ * @param {'selector'|'keypath'} ruleType 规则类型
+ * @param {Partial<TagBlockerTag>} options 规则选项
+ * @returns {string}
+ */
+function getStructuredRuleName(ruleType, options) {
+    return ruleType === 'keypath' ? `移除键 ${options.keyPaths.join(', ')}` : `选择器 ${options.selector}`;
+}
+
+/**
+ * 添加新的选择器或键路径规则
+ * @param {'selector'|'keypath'} ruleType 规则类型
+ */
+async function onAddStructuredClick(ruleType) {
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 初始化编辑器
+    setupStructuredEditor(editorHtml, ruleType);
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, ruleType);
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const structuredOptions = readStructuredOptions(editorHtml);
+        if (!validateStructuredOptions(ruleType, structuredOptions)) return;
+        
+        const newTag = {
+            id: uuidv4(),
+            scriptName: getStructuredRuleName(ruleType, structuredOptions),
+            ruleType: ruleType,
+            regexPattern: null,
+            ...readEditorOptions(editorHtml),
+            ...structuredOptions,
+            enabled: true
+        };
+        
+        extension_settings.tag_blocker.tags.push(normalizeTag(newTag));
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 编辑选择器或键路径规则
+ * @param {string} tagId 规则ID
+ */
+async function onEditStructuredClick(tagId) {
+    const tag = extension_settings.tag_blocker.tags.find(t => t.id === tagId);
+    if (!tag) return;
+    
+    const ruleType = /** @type {'selector'|'keypath'} */ (tag.ruleType);
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 填充表单
+    fillEditorOptions(editorHtml, tag);
+    editorHtml.find('#selector-pattern').val(tag.selector);
+    editorHtml.find('#selector-mode').val(tag.selectorMode);
+    editorHtml.find('#key-paths').val(tag.keyPaths.join('\n'));
+    setupStructuredEditor(editorHtml, ruleType);
+    
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, ruleType);
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const structuredOptions = readStructuredOptions(editorHtml);
+        if (!validateStructuredOptions(ruleType, structuredOptions)) return;
+        
+        tag.scriptName = getStructuredRuleName(ruleType, structuredOptions);
+        Object.assign(tag, readEditorOptions(editorHtml), structuredOptions);
+        
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 导入脚本文件
+ * @param {boolean} folder 是否选择整个文件夹
+ */
+async function onImportScriptClick(folder = false) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.multiple = true;
+    if (folder === true) {
+        input.webkitdirectory = true;
+    }
+    
+    input.onchange = async function(event) {
+        const files = Array.from(event.target.files || []).filter(file => file.name.toLowerCase().endsWith('.json'));
+        if (files.length === 0) return;
+        
+        try {
+            const scripts = [];
+            for (const file of files) {
+                try {
+                    const data = JSON.parse(await file.text());
+                    importGroups(data);
+                    scripts.push(...extractImportedScripts(data));
+                } catch (error) {
+                    console.error(`解析文件 ${file.name} 出错:`, error);
+                }
+            }
+            
+            // 检查是否有必要的字段
+            if (scripts.length === 0) {
+                window.toastr?.error?.('无效的脚本文件，缺少必要的字段');
+                return;
+            }
+            
+            const { imported, skipped } = await importScripts(scripts);
+            saveTagBlockerSettings();
+            await loadTagList();
+            
+            window.toastr?.success?.(`成功导入 ${imported} 条规则${skipped > 0 ? `，跳过 ${skipped} 条` : ''}`);
+        } catch (error) {
+            console.error("导入脚本出错:", error);
+            window.toastr?.error?.('导入脚本失败: ' + error.message);
+        }
+    };
+    
+    input.click();
+}
+
+/**
+ * 导出所有规则
+ */
+async function onExportRulesClick() {
+    const rules = extension_settings.tag_blocker.tags;
+    if (!rules || rules.length === 0) {
+        window.toastr?.warning?.('没有可导出的规则');
+        return;
+    }
+    
+    // 转换为导出格式，规则按应用顺序排列
+    const exportData = {
+        format: RULE_BUNDLE_FORMAT,
+        version: RULE_BUNDLE_VERSION,
+        groups: structuredClone(extension_settings.tag_blocker.groups),
+        rules: rules.map(exportTagToScript)
+    };
+    
+    // 创建下载
+    const dataStr = JSON.stringify(exportData, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    
+    const link = document.createElement('a');
+    link.download = 'tag_blocker_rules.json';
+    link.href = url;
+    link.click();
+    
+    setTimeout(() => {
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * 编辑现有标签
+ * @param {string} tagId 标签ID
+ */
+async function onEditTagClick(tagId) {
+    const tag = extension_settings.tag_blocker.tags.find(t => t.id === tagId);
+    if (!tag) return;
+    
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 隐藏正则字段
+    editorHtml.find('#regex-pattern').parent().parent().hide();
+    editorHtml.find('#substitute-regex').parent().parent().hide();
+    editorHtml.find('.extract-option').hide();
+    
+    // 填充表单
+    editorHtml.find('#tag-start').val(tag.startTag);
+    editorHtml.find('#tag-end').val(tag.endTag);
+    fillEditorOptions(editorHtml, tag);
+    
+    // 更新预览
+    editorHtml.find('.tag-start-preview').text(tag.startTag);
+    editorHtml.find('.tag-end-preview').text(tag.endTag);
+    
+    editorHtml.find('#tag-start, #tag-end').on('input', function() {
+        const startTag = editorHtml.find('#tag-start').val();
+        const endTag = editorHtml.find('#tag-end').val();
+        
+        editorHtml.find('.tag-start-preview').text(startTag);
+        editorHtml.find('.tag-end-preview').text(endTag);
+    });
+
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, 'tag');
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const startTag = editorHtml.find('#tag-start').val();
+        const endTag = editorHtml.find('#tag-end').val();
+        
+        if (!startTag || !endTag) {
+            window.toastr?.warning?.('开始标签和结束标签不能为空');
+            return;
+        }
+        
+        tag.scriptName = `标签 ${startTag}...${endTag}`;
+        tag.startTag = startTag;
+        tag.endTag = endTag;
+        Object.assign(tag, readEditorOptions(editorHtml));
+        
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 编辑正则表达式规则
+ * @param {string} tagId 规则ID
+ */
+async function onEditRegexClick(tagId) {
+    const tag = extension_settings.tag_blocker.tags.find(t => t.id === tagId);
+    if (!tag) return;
+    
+    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+    
+    // 隐藏标签字段
+    editorHtml.find('#tag-start').parent().parent().hide();
+    editorHtml.find('#tag-end').parent().parent().hide();
+    editorHtml.find('.tag-preview').hide();
+    editorHtml.find('.tag-only-option').hide();
+    editorHtml.find('.extract-option').hide();
+    
+    // 填充表单
+    editorHtml.find('#regex-pattern').val(tag.regexPattern);
+    fillEditorOptions(editorHtml, tag);
+    
+    setupScopeEditor(editorHtml);
+    setupSummaryEditor(editorHtml);
+    setupConditionEditor(editorHtml);
+    setupRuleTester(editorHtml, 'regex');
+    
+    const popupResult = await callPopup(editorHtml, 'confirm');
+    if (popupResult) {
+        const regexPattern = editorHtml.find('#regex-pattern').val();
+        const options = readEditorOptions(editorHtml);
+        
+        if (!regexPattern) {
+            window.toastr?.warning?.('正则表达式不能为空');
+            return;
+        }
+        
+        try {
+            parseRegexString(substituteFindRegex(regexPattern, options.substituteRegex, engineEnv));
+        } catch (error) {
+            window.toastr?.warning?.(`正则表达式无效: ${error.message}`);
+            return;
+        }
+        
+        tag.scriptName = `正则 ${regexPattern.substring(0, 20)}${regexPattern.length > 20 ? '...' : ''}`;
+        tag.regexPattern = regexPattern;
+        Object.assign(tag, options);
+        
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 删除标签
+ * @param {string} tagId 标签ID
+ */
+async function onDeleteTagClick(tagId) {
+    const confirmed = await callGenericPopup('确定要删除这个规则吗？', POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+    
+    const index = extension_settings.tag_blocker.tags.findIndex(t => t.id === tagId);
+    if (index !== -1) {
+        extension_settings.tag_blocker.tags.splice(index, 1);
+        delete extension_settings.tag_blocker.ruleStats[tagId];
+        extension_settings.tag_blocker.profiles.forEach(profile => delete profile.rules[tagId]);
+        saveTagBlockerSettings();
+        await loadTagList();
+    }
+}
+
+/**
+ * 获取消息的稳定ID，保存在消息的extra字段中，编辑和切换回复后保持不变
+ * @param {Object} message 消息
+ * @param {boolean} create 消息还没有ID时是否创建
+ * @returns {string|null} 消息ID
+ */
+function getMessageKey(message, create = false) {
+    if (message?.extra?.tag_blocker_id) return message.extra.tag_blocker_id;
+    if (!create || !message) return null;
+    
+    if (!message.extra) message.extra = {};
+    message.extra.tag_blocker_id = uuidv4();
+    saveChatDebounced();
+    
+    return message.extra.tag_blocker_id;
+}
+
+/**
+ * 检查消息是否被排除（被排除的消息不应用任何规则）
+ * @param {number} messageId 消息在对话中的楼层
+ * @returns {boolean}
+ */
+function isMessageExcluded(messageId) {
+    const context = getContext();
+    const key = getMessageKey(context.chat?.[messageId]);
+    if (!key) return false;
+    
+    return context.chatMetadata?.tag_blocker?.excludedMessages?.[key] === true;
+}
+
+/**
+ * 获取一次处理中所有消息共用的对话信息
+ * @returns {RuleRunContext}
+ */
+function prepareRuleRun() {
+    const context = getContext();
+    return {
+        scope: getRuleScopeContext(),
+        chat: Array.isArray(context.chat) ? context.chat : [],
+        excludedMessages: context.chatMetadata?.tag_blocker?.excludedMessages || {},
+        generationType: currentGenerationType
+    };
+}
+
+/**
+ * 排除或包含消息，保存在当前对话的元数据中
+ * @param {number[]} messageIds 消息楼层
+ * @param {boolean} excluded 是否排除
+ */
+function setMessagesExcluded(messageIds, excluded) {
+    const context = getContext();
+    if (!context.chatMetadata || !Array.isArray(context.chat)) return;
+    
+    const metadata = context.chatMetadata.tag_blocker || {};
+    const excludedMessages = { ...(metadata.excludedMessages || {}) };
+    
+    for (const messageId of messageIds) {
+        const key = getMessageKey(context.chat[messageId], excluded);
+        if (!key) continue;
+        
+        if (excluded) {
+            excludedMessages[key] = true;
+        } else {
+            delete excludedMessages[key];
+        }
+    }
+    
+    context.chatMetadata.tag_blocker = { ...metadata, excludedMessages: excludedMessages };
+    saveMetadataDebounced();
+    
+    renderDisplayMessages(messageIds);
+}
+
+/**
+ * 将旧版本保存在设置中的排除消息快照迁移到当前打开的对话
+ * 
+ * 快照只保存了消息全文，内容完全相同的消息会被标记为排除，迁移后删除快照。
+ */
+function migrateLegacyExclusions() {
+    const legacy = extension_settings.tag_blocker.excludedPrompts;
+    if (legacy === undefined) return;
+    
+    const context = getContext();
+    if (Array.isArray(legacy)) {
+        if (!getCurrentChatId() || !Array.isArray(context.chat) || context.chat.length === 0) return;
+        
+        const texts = new Set(legacy.filter(prompt => prompt?.excluded && typeof prompt.text === 'string').map(prompt => prompt.text));
+        const messageIds = context.chat.map((message, index) => texts.has(message?.mes) ? index : -1).filter(index => index !== -1);
+        if (messageIds.length > 0) {
+            setMessagesExcluded(messageIds, true);
+            logDebug(`已将 ${messageIds.length} 条旧版本的排除消息迁移到当前对话`);
+        }
+    }
+    
+    delete extension_settings.tag_blocker.excludedPrompts;
+    saveSettingsDebounced();
+}
+
+/**
+ * 更新聊天中消息的排除按钮
+ * @param {number} messageId 消息楼层
+ */
+function updateMessageExcludeButton(messageId) {
+    const buttons = $(`#chat .mes[mesid="${messageId}"] .extraMesButtons`);
+    if (!buttons.length) return;
+    
+    let button = buttons.find('.tag-blocker-exclude');
+    if (!button.length) {
+        button = $('<div class="mes_button tag-blocker-exclude fa-solid fa-shield-halved interactable" tabindex="0"></div>');
+        buttons.prepend(button);
+    }
+    
+    const excluded = isMessageExcluded(messageId);
+    button.toggleClass('tag-blocker-excluded', excluded);
+    button.attr('title', excluded ? '已排除：不对此消息应用规则（点击包含）' : '排除此消息，不应用规则');
+}
+
+/**
+ * 聊天中消息的排除按钮点击事件
+ */
+async function onMessageExcludeClick() {
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    if (isNaN(messageId)) return;
+    
+    setMessagesExcluded([messageId], !isMessageExcluded(messageId));
+    await loadPromptList();
+}
+
+/**
+ * 获取保存的摘要
+ * @param {number|null} floor 消息楼层
+ * @param {TagBlockerTag} tag 规则
+ * @param {ReplacementSpan} span 匹配的内容
+ * @returns {{text: string, time: number}|null} 没有摘要或匹配的内容已改变时返回null
+ */
+function getSavedSummary(floor, tag, span) {
+    if (floor === null) return null;
+    
+    const context = getContext();
+    const key = getMessageKey(context.chat?.[floor]);
+    if (!key) return null;
+    
+    return context.chatMetadata?.tag_blocker?.summaries?.[key]?.[tag.id]?.[getStringHash(span.match)] ?? null;
+}
+
+/**
+ * 保存摘要到对话元数据中，text为null时删除
+ * @param {number} floor 消息楼层
+ * @param {TagBlockerTag} tag 规则
+ * @param {ReplacementSpan} span 匹配的内容
+ * @param {string|null} text 摘要
+ */
+function setSavedSummary(floor, tag, span, text) {
+    const context = getContext();
+    if (!context.chatMetadata) return;
+    
+    const key = getMessageKey(context.chat?.[floor], text !== null);
+    if (!key) return;
+    
+    const metadata = context.chatMetadata.tag_blocker || {};
+    const summaries = { ...(metadata.summaries || {}) };
+    const messageSummaries = { ...(summaries[key] || {}) };
+    const ruleSummaries = { ...(messageSummaries[tag.id] || {}) };
+    const hash = getStringHash(span.match);
+    
+    if (text === null) {
+        delete ruleSummaries[hash];
+    } else {
+        ruleSummaries[hash] = { text: text, time: Date.now() };
+    }
+    messageSummaries[tag.id] = ruleSummaries;
+    summaries[key] = messageSummaries;
+    
+    context.chatMetadata.tag_blocker = { ...metadata, summaries: summaries };
+    saveMetadataDebounced();
+}
+
+/**
+ * 更新摘要连接配置的选择列表
+ */
+function updateSummaryProfileSelect() {
+    const select = $('#summary-connection-profile');
+    const selectedId = extension_settings.tag_blocker.summaryConnectionProfile;
+    select.empty();
+    select.append($('<option></option>').val('').text('（未选择）'));
+    
+    for (const profile of extension_settings.connectionManager?.profiles || []) {
+        select.append($('<option></option>').val(profile.id).text(profile.name));
+    }
+    
+    select.val(selectedId || '');
+}
+
+/** @type {number} 正在发送的摘要请求数量，兼容模式不拦截这些请求 */
+let pendingSummaryRequests = 0;
+
+/**
+ * 通过设置中选择的连接配置生成摘要
+ * 
+ * 请求由酒馆后端转发，API密钥保存在酒馆的密钥存储中，不经过扩展设置。
+ * @param {string} prompt 提示词
+ * @returns {Promise<string>} 摘要
+ */
+async function requestSummaryFromApi(prompt) {
+    const profileId = extension_settings.tag_blocker.summaryConnectionProfile;
+    const profile = extension_settings.connectionManager?.profiles?.find(profile => profile.id === profileId);
+    if (!profile) {
+        throw new Error('未选择摘要使用的连接配置');
+    }
+    
+    const { ConnectionManagerRequestService } = await import('../../extensions/shared.js');
+    if (!ConnectionManagerRequestService) {
+        throw new Error('当前酒馆版本不支持通过连接配置发送请求，请更新酒馆');
+    }
+    
+    pendingSummaryRequests++;
+    try {
+        const result = await ConnectionManagerRequestService.sendRequest(profile.id, [{ role: 'user', content: prompt }], SUMMARY_MAX_TOKENS);
+        return String(result?.content ?? '').trim();
+    } finally {
+        pendingSummaryRequests--;
+    }
+}
+
+/**
+ * 按规则的摘要来源生成摘要
+ * @param {TagBlockerTag} tag 规则
+ * @param {ReplacementSpan} span 匹配的内容
+ * @returns {Promise<string>} 摘要
+ */
+async function generateSummary(tag, span) {
+    if (tag.summarySource === 'script') {
+        const scope = new SlashCommandScope();
+        scope.letVariable('match', span.match);
+        scope.letVariable('content', span.captures[0] ?? '');
+        
+        const result = await executeSlashCommandsWithOptions(tag.summaryTemplate, { scope: scope });
+        if (result.isError) {
+            throw new Error(result.errorMessage || '脚本执行失败');
+        }
+        return String(result.pipe ?? '').trim();
+    }
+    
+    const prompt = expandReplacement(tag.summaryTemplate, span.match, span.captures, span.groups, tag.trimStrings, engineEnv);
+    if (tag.summarySource === 'api') {
+        return await requestSummaryFromApi(prompt);
+    }
+    return prompt;
+}
+
+/**
+ * 生成并保存摘要，失败时提示用户并返回null
+ * @param {number} floor 消息楼层
+ * @param {TagBlockerTag} tag 规则
+ * @param {ReplacementSpan} span 匹配的内容
+ * @returns {Promise<string|null>} 摘要
+ */
+async function generateAndSaveSummary(floor, tag, span) {
+    try {
+        const text = await generateSummary(tag, span);
+        setSavedSummary(floor, tag, span, text);
+        logDebug(`已为楼层 ${floor} 生成规则 "${tag.scriptName}" 的摘要`);
+        return text;
+    } catch (error) {
+        console.error('[高级内容处理器] 生成摘要失败:', error);
+        window.toastr?.warning?.(`规则「${tag.scriptName}」生成摘要失败：${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * 发送前为摘要模式的规则生成缺少的摘要，已有的摘要直接复用
+ * @param {PayloadSegment[]} segments 文本片段 (已包含楼层信息)
+ * @param {RuleRunContext} run 本次处理共用的对话信息
+ * @param {RegexGuard} guard 正则安全检查 (查找匹配内容前检查规则的表达式)
+ */
+async function prepareSummaries(segments, run, guard) {
+    const rules = getAllRules().filter(tag => tag.enabled && tag.replaceMode === 'summary' && canUseSummary(tag));
+    if (rules.length === 0) return;
+    
+    // 只有对应到对话楼层的内容才能保存摘要
+    const items = toGuardedTexts(segments.filter(segment => (segment.depthInfo?.floor ?? null) !== null));
+    
+    const pending = new Map();
+    for (const tag of rules) {
+        for (const item of await findGuardedTargets(guard, tag, items, { run: run })) {
+            if (!shouldApplyRule(tag, item.text, item.depthInfo, item.placement, { run: run, env: engineEnv })) continue;
+            
+            const floor = item.depthInfo.floor;
+            for (const span of findRuleSpans(item.text, tag, engineEnv)) {
+                if (getSavedSummary(floor, tag, span)) continue;
+                pending.set(`${floor}:${tag.id}:${getStringHash(span.match)}`, { floor: floor, tag: tag, span: span });
+            }
+        }
+    }
+    
+    if (pending.size === 0) return;
+    
+    window.toastr?.info?.(`正在生成 ${pending.size} 条摘要，生成后会保存在对话中`);
+    for (const { floor, tag, span } of pending.values()) {
+        await generateAndSaveSummary(floor, tag, span);
+    }
+}
+
+/**
+ * 更新消息上的摘要按钮，只在有摘要模式的规则时显示
+ * @param {number} messageId 消息楼层
+ */
+function updateMessageSummaryButton(messageId) {
+    const buttons = $(`#chat .mes[mesid="${messageId}"] .extraMesButtons`);
+    if (!buttons.length) return;
+    
+    let button = buttons.find('.tag-blocker-summary');
+    if (!button.length) {
+        button = $('<div class="mes_button tag-blocker-summary fa-solid fa-note-sticky interactable" tabindex="0" title="查看或重新生成此消息的摘要"></div>');
+        buttons.prepend(button);
+    }
+    
+    button.toggle(getAllRules().some(tag => tag.replaceMode === 'summary' && canUseSummary(tag)));
+}
+
+/**
+ * 查看或重新生成消息的摘要
+ */
+async function onMessageSummaryClick() {
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    const message = getContext().chat?.[messageId];
+    if (isNaN(messageId) || !message || typeof message.mes !== 'string') return;
+    
+    const summaryHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'summary'));
+    const entryList = summaryHtml.find('.summary-entries');
+    
+    // 查看摘要不计入规则的超时次数
+    const guard = createRegexGuard(false);
+    const rules = [];
+    for (const tag of getAllRules().filter(tag => tag.replaceMode === 'summary' && canUseSummary(tag))) {
+        if (await checkRuleRegexes(guard, tag, [message.mes])) rules.push(tag);
+    }
+    closeRegexGuard(guard);
+    
+    for (const tag of rules) {
+        for (const span of findRuleSpans(message.mes, tag, engineEnv)) {
+            const saved = getSavedSummary(messageId, tag, span);
+            const item = $('<div class="preview-message summary-entry"></div>');
+            item.append($('<div class="preview-message-header"></div>').text(tag.scriptName));
+            item.append($('<small class="summary-original"></small>').text(span.match.length > 200 ? span.match.substring(0, 200) + '…' : span.match));
+            
+            const textarea = $('<textarea class="text_pole textarea_compact" rows="3"></textarea>')
+                .val(saved?.text ?? '')
+                .attr('placeholder', '尚未生成摘要，发送时会自动生成');
+            textarea.on('change', function() {
+                const text = String($(this).val());
+                setSavedSummary(messageId, tag, span, text ? text : null);
+            });
+            item.append(textarea);
+            
+            const regenerate = $('<div class="menu_button menu_button_icon"><i class="fa-solid fa-rotate"></i><span>重新生成</span></div>');
+            regenerate.on('click', async function() {
+                regenerate.addClass('disabled');
+                const text = await generateAndSaveSummary(messageId, tag, span);
+                regenerate.removeClass('disabled');
+                if (text !== null) textarea.val(text);
+            });
+            item.append(regenerate);
+            
+            entryList.append(item);
+        }
+    }
+    
+    if (entryList.children().length === 0) {
+        entryList.append($('<small></small>').text('此消息中没有摘要模式规则匹配的内容'));
+    }
+    
+    await callGenericPopup(summaryHtml, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true, okButton: '关闭' });
+    await renderDisplayMessages([messageId]);
+}
+
+/**
+ * 扫描当前对话的所有消息
+ * @returns {Promise<number|undefined>} 消息数量
+ */
+async function scanPrompts() {
+    // 获取当前对话ID
+    const chatId = getCurrentChatId();
+    if (!chatId) {
+        scannedMessages = [];
+        return;
+    }
+
+    // 获取上下文
+    const context = getContext();
+    if (!context || !context.chat || !Array.isArray(context.chat)) {
+        window.toastr?.warning?.('无法获取对话上下文');
+        return;
+    }
+
+    // 收集所有消息 - 仅聊天记录，排除状态按消息ID保存在对话元数据中，重新扫描不会丢失
+    scannedMessages = [];
+    
+    for (let i = 0; i < context.chat.length; i++) {
+        const message = context.chat[i];
+        if (message.mes) {
+            scannedMessages.push({
+                messageId: i,
+                text: message.mes,
+                source: `${message.is_user ? '用户消息' : '角色回复'} (楼层 ${i})`
+            });
+        }
+    }
+    
+    return scannedMessages.length;
+}
+
+/**
+ * 刷新消息列表
+ */
+async function refreshPrompts() {
+    await scanPrompts();
+    await loadPromptList();
+    window.toastr?.success?.('刷新成功');
+}
+
+/**
+ * 根据替换记录生成差异视图
+ * @param {string} text 应用规则前的文本
+ * @param {ReplacementSpan[]} spans 替换位置
+ * @returns {JQuery} 差异视图元素
+ */
+function renderSpanDiff(text, spans) {
+    const diff = $('<div class="preview-diff"></div>');
+    let cursor = 0;
+    
+    for (const span of spans) {
+        if (span.start > cursor) {
+            diff.append(document.createTextNode(text.substring(cursor, span.start)));
+        }
+        if (span.match) {
+            diff.append($('<del></del>').text(span.match));
+        }
+        if (span.replacement) {
+            diff.append($('<ins></ins>').text(span.replacement));
+        }
+        cursor = span.end;
+    }
+    
+    if (cursor < text.length) {
+        diff.append(document.createTextNode(text.substring(cursor)));
+    }
+    
+    return diff;
+}
+
+/**
+ * 查看应用日志
+ */
+async function onViewLogClick() {
+    const settings = extension_settings.tag_blocker;
+    const logHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'log'));
+    const log = settings.applicationLog;
+    
+    // 汇总日志中每个规则的统计，没有出现在日志中的规则列为未生效
+    const totals = new Map(settings.tags.map(tag => [tag.id, { name: tag.scriptName, runs: 0, messages: 0, chars: 0, ms: 0 }]));
+    for (const entry of log) {
+        for (const stats of entry.rules) {
+            const total = totals.get(stats.id) || { name: stats.name, runs: 0, messages: 0, chars: 0, ms: 0 };
+            total.runs += stats.messages > 0 ? 1 : 0;
+            total.messages += stats.messages;
+            total.chars += stats.chars;
+            total.ms += stats.ms;
+            totals.set(stats.id, total);
+        }
+    }
+    
+    const summary = logHtml.find('.log-summary');
+    summary.append($('<div></div>').text(`最近 ${log.length} 次生成（最多保留 ${APPLICATION_LOG_LIMIT} 次）`));
+    
+    const table = $('<table class="preview-stats"><thead><tr><th>规则</th><th>生效次数</th><th>消息数</th><th>移除字符</th><th>耗时(ms)</th><th>最后生效</th></tr></thead><tbody></tbody></table>');
+    [...totals.entries()]
+        .sort(([, a], [, b]) => b.chars - a.chars)
+        .forEach(([id, total]) => {
+            const row = $('<tr></tr>').toggleClass('log-dead-rule', total.runs === 0);
+            row.append($('<td></td>').text(total.name));
+            row.append($('<td></td>').text(total.runs));
+            row.append($('<td></td>').text(total.messages));
+            row.append($('<td></td>').text(total.chars));
+            row.append($('<td></td>').text(Math.round(total.ms * 100) / 100));
+            row.append($('<td></td>').text(formatLastFired(id)));
+            table.find('tbody').append(row);
+        });
+    summary.append(table);
+    
+    // 每次生成的详细记录，最新的在前
+    const entryList = logHtml.find('.log-entries');
+    for (const entry of [...log].reverse()) {
+        const fired = entry.rules.filter(stats => stats.messages > 0);
+        const item = $('<div class="preview-message"></div>');
+        item.append($('<div class="preview-message-header"></div>')
+            .text(`${new Date(entry.time).toLocaleString()}（耗时 ${entry.ms}ms，${fired.length}/${entry.rules.length} 个规则生效）`));
+        for (const stats of fired) {
+            item.append($('<small class="preview-rule-name"></small>').text(`${stats.name}：${stats.messages} 条消息，移除 ${stats.chars} 字符，${stats.ms}ms`));
+        }
+        entryList.append(item);
+    }
+    
+    logHtml.find('#clear-log-button').on('click', function() {
+        settings.applicationLog = [];
+        settings.ruleStats = {};
+        saveTagBlockerSettings();
+        summary.empty();
+        entryList.empty().append($('<small></small>').text('日志已清空'));
+        $('#tag-list .tag-last-fired').text(formatLastFired(''));
+    });
+    
+    await callGenericPopup(logHtml, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true, okButton: '关闭' });
+}
+
+/**
+ * 预览应用规则后的提示词（不发送任何内容）
+ */
+async function onPreviewPromptClick() {
+    const context = getContext();
+    if (!context || !Array.isArray(context.chat) || context.chat.length === 0) {
+        window.toastr?.warning?.('没有可预览的对话');
+        return;
+    }
+    
+    const previewHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'preview'));
+    const messageList = previewHtml.find('.preview-messages');
+    const chat = context.chat;
+    
+    /** @type {Map<string, {name: string, messages: number, chars: number, tokens: number}>} */
+    const ruleStats = new Map();
+    let originalTokens = 0;
+    let processedTokens = 0;
+    const run = prepareRuleRun();
+    
+    // 隐藏的消息不会被发送
+    const items = [];
+    chat.forEach((message, floor) => {
+        if (!message.mes || message.is_system) return;
+        items.push({ text: message.mes, depthInfo: { floor: floor, depth: chat.length - 1 - floor }, placement: message.is_user ? 0 : 1, trace: [] });
+    });
+    
+    // 预览不计入规则的超时次数，多次打开预览不会禁用规则
+    const guard = createRegexGuard(false);
+    try {
+        await applyRulesGuarded(items, getAllRules(), guard, { run: run, preview: true });
+    } finally {
+        closeRegexGuard(guard);
+    }
+    
+    for (const { text: result, depthInfo, trace } of items) {
+        const floor = depthInfo.floor;
+        const message = chat[floor];
+        
+        originalTokens += estimateTokens(message.mes);
+        processedTokens += estimateTokens(result);
+        
+        const messageItem = $('<div class="preview-message"></div>');
+        const header = $('<div class="preview-message-header"></div>')
+            .text(`#${floor} ${message.name || (message.is_user ? '用户' : '角色')}（倒数 ${depthInfo.depth}）`);
+        messageItem.append(header);
+        
+        if (trace.length === 0) {
+            messageItem.addClass('unchanged');
+            messageItem.append($('<div class="preview-diff"></div>').text(message.mes));
+        }
+        
+        for (const entry of trace) {
+            const name = entry.tag.scriptName || `规则 ${entry.tag.id.substring(0, 6)}`;
+            const chars = entry.before.length - entry.after.length;
+            const tokens = estimateTokens(entry.before) - estimateTokens(entry.after);
+            
+            const stats = ruleStats.get(entry.tag.id) || { name: name, messages: 0, chars: 0, tokens: 0 };
+            stats.messages++;
+            stats.chars += chars;
+            stats.tokens += tokens;
+            ruleStats.set(entry.tag.id, stats);
+            
+            const step = $('<div class="preview-step"></div>');
+            step.append($('<small class="preview-rule-name"></small>').text(`${name}：节省 ${chars} 字符 / 约 ${tokens} tokens`));
+            step.append(renderSpanDiff(entry.before, entry.spans));
+            messageItem.append(step);
+        }
+        
+        messageList.append(messageItem);
+    }
+    
+    // 汇总每条规则节省的内容
+    const summary = previewHtml.find('.preview-summary');
+    summary.append($('<div></div>').text(`预计发送约 ${processedTokens} tokens（原始约 ${originalTokens} tokens，节省约 ${originalTokens - processedTokens} tokens）`));
+    
+    if (ruleStats.size > 0) {
+        const table = $('<table class="preview-stats"><thead><tr><th>规则</th><th>消息数</th><th>字符</th><th>tokens</th></tr></thead><tbody></tbody></table>');
+        for (const stats of ruleStats.values()) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(stats.name));
+            row.append($('<td></td>').text(stats.messages));
+            row.append($('<td></td>').text(stats.chars));
+            row.append($('<td></td>').text(stats.tokens));
+            table.find('tbody').append(row);
+        }
+        summary.append(table);
+    } else {
+        summary.append($('<small></small>').text('当前没有规则修改任何消息'));
+    }
+    
+    // 仅显示被修改的消息
+    const changedOnlyToggle = previewHtml.find('#preview-changed-only');
+    messageList.toggleClass('changed-only', changedOnlyToggle.prop('checked'));
+    changedOnlyToggle.on('change', function() {
+        messageList.toggleClass('changed-only', $(this).prop('checked'));
+    });
+    
+    await callGenericPopup(previewHtml, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true, okButton: '关闭' });
+}
+
+/** @type {Map<string, TagBlockerTag>} 其他扩展注册的规则，只保存在内存中 */
+const externalRules = new Map();
+
+/** @type {Set<(event: RuleAppliedEvent) => void>} 规则应用事件的监听器 */
+const ruleAppliedListeners = new Set();
+
+/**
+ * 获取所有规则，其他扩展注册的规则排在用户规则之后
+ * @returns {TagBlockerTag[]}
+ */
+function getAllRules() {
+    return [...extension_settings.tag_blocker.tags, ...externalRules.values()];
+}
+
+/**
+ * 通知规则应用事件的监听器
+ * @param {RuleAppliedEvent} event 事件
+ */
+function emitRuleApplied(event) {
+    for (const listener of ruleAppliedListeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('[高级内容处理器] 规则应用事件的监听器出错:', error);
+        }
+    }
+}
+
+/**
+ * 注册其他扩展提供的规则
+ * @param {Object} rule 规则 (格式与导出的规则相同，也支持酒馆正则脚本)
+ * @param {string} source 提供规则的扩展名称
+ * @returns {string} 规则ID
+ */
+function registerExternalRule(rule, source) {
+    if (!isImportableScript(rule)) {
+        throw new TypeError('规则需要包含 startTag/endTag、regexPattern、extractPairs、selector 或 keyPaths');
+    }
+    
+    const tag = importScriptToTag(rule);
+    if (extension_settings.tag_blocker.tags.some(item => item.id === tag.id)) {
+        throw new Error(`规则ID已被用户规则使用: ${tag.id}`);
+    }
+    
+    tag.source = String(source || rule.source || '未知扩展');
+    tag.groupId = null;
+    if (!rule.scriptName) tag.scriptName = `${tag.source} 的规则`;
+    
+    externalRules.set(tag.id, tag);
+    reloadTagListDebounced();
+    
+    return tag.id;
+}
+
+/**
+ * 移除其他扩展注册的规则
+ * @param {string} id 规则ID
+ * @returns {boolean} 是否移除成功
+ */
+function unregisterExternalRule(id) {
+    const removed = externalRules.delete(id);
+    if (removed) reloadTagListDebounced();
+    return removed;
+}
+
+/**
+ * 将其他扩展注册的规则转为用户自己的规则，之后会被保存和导出
+ * @param {string} id 规则ID
+ */
+async function adoptExternalRule(id) {
+    const rule = externalRules.get(id);
+    if (!rule) return;
+    
+    const { source, ...fields } = structuredClone(rule);
+    extension_settings.tag_blocker.tags.push(normalizeTag(fields));
+    externalRules.delete(id);
+    
+    saveTagBlockerSettings();
+    await loadTagList();
+    window.toastr?.success?.(`已采用来自 ${source} 的规则`);
+}
+
+// 其他扩展可能在短时间内注册多个规则，合并刷新
+const reloadTagListDebounced = debounce(() => loadTagList(), 100);
+
+/**
+ * 记录规则在当前生成中的统计
+ * @param {Map<string, RuleLogStats>} collector 当前生成中每个规则的统计
+ * @param {TagBlockerTag} tag 规则
+ * @param {string} before 应用规则前的文本
+ * @param {string} after 应用规则后的文本
+ * @param {number} ms 耗时 (毫秒)
+ */
+function recordRuleStats(collector, tag, before, after, ms) {
+    const stats = collector.get(tag.id) || { id: tag.id, name: tag.scriptName, messages: 0, chars: 0, ms: 0 };
+    stats.ms += ms;
+    if (after !== before) {
+        stats.messages++;
+        stats.chars += before.length - after.length;
+    }
+    collector.set(tag.id, stats);
+}
+
+/**
+ * 将一次生成的统计写入应用日志，并更新规则的最后生效时间
+ * @param {Map<string, RuleLogStats>} collector 每个规则的统计
+ * @param {number} ms 总耗时 (毫秒)
+ */
+function appendApplicationLog(collector, ms) {
+    if (collector.size === 0) return;
+    
+    const settings = extension_settings.tag_blocker;
+    const time = Date.now();
+    const rules = [...collector.values()].map(stats => ({ ...stats, ms: Math.round(stats.ms * 100) / 100 }));
+    
+    settings.applicationLog.push({ time: time, chatId: getCurrentChatId() || null, ms: Math.round(ms * 100) / 100, rules: rules });
+    settings.applicationLog.splice(0, settings.applicationLog.length - APPLICATION_LOG_LIMIT);
+    
+    for (const stats of rules) {
+        if (stats.messages > 0) {
+            settings.ruleStats[stats.id] = { lastFired: time };
+            $(`#tag-list .tag-item[id="${stats.id}"] .tag-last-fired`).text(formatLastFired(stats.id));
+        }
+    }
+    
+    saveSettingsDebounced();
+}
+
+/**
+ * 格式化规则的最后生效时间
+ * @param {string} id 规则ID
+ * @returns {string}
+ */
+function formatLastFired(id) {
+    const lastFired = extension_settings.tag_blocker.ruleStats[id]?.lastFired;
+    if (!lastFired) return '从未生效';
+    
+    const seconds = Math.floor((Date.now() - lastFired) / 1000);
+    if (seconds < 60) return '刚刚生效';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}分钟前生效`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}小时前生效`;
+    return `${Math.floor(seconds / 86400)}天前生效`;
+}
+
+/** @type {string|null} 正在进行的生成类型 (如 swipe、regenerate，没有生成时为null) */
+let currentGenerationType = null;
+
+/** @type {Set<string>} 已由提示词事件处理、还没有发出的提示词的特征，兼容模式拦截到内容相同的请求时不再重复处理 */
+const promptEventHandledPrompts = new Set();
+
+// 最多记录的已处理提示词数量 (生成被中断时请求不会发出，特征不会被使用)
+const HANDLED_PROMPT_LIMIT = 20;
+
+/**
+ * 计算提示词的特征，相同的文本片段得到相同的特征
+ * @param {string[]} texts 提示词中的所有文本
+ * @returns {string}
+ */
+function getPromptSignature(texts) {
+    const joined = texts.join('\u0000');
+    return `${joined.length}:${getStringHash(joined)}`;
+}
+
+/**
+ * 记录已由提示词事件处理的提示词
+ * @param {string[]} texts 处理后的提示词中的所有文本
+ */
+function markPromptEventHandled(texts) {
+    if (promptEventHandledPrompts.size >= HANDLED_PROMPT_LIMIT) promptEventHandledPrompts.clear();
+    promptEventHandledPrompts.add(getPromptSignature(texts));
+}
+
+/**
+ * 应用标签屏蔽规则
+ * @param {string} text 需要处理的文本
+ * @param {MessageDepthInfo|null} depthInfo 楼层信息 (null表示没有楼层，设置了楼层范围的规则不会应用)
+ * @param {number} placement 位置类型 (0=用户输入, 1=AI回复, 2=系统提示)
+ * @param {RuleApplyOptions & {preview?: boolean, stats?: Map<string, RuleLogStats>}} options 处理选项 (不提供规则和对话信息时使用当前设置和对话；preview为true时只预览，不通知规则应用事件的监听器；提供stats时记录每个规则的统计)
+ * @returns {string} 处理后的文本
+ */
+function applyTagBlockRules(text, depthInfo = null, placement = 2, options = {}) {
+    if (!extension_settings.tag_blocker || !Array.isArray(extension_settings.tag_blocker.tags)) {
+        return text;
+    }
+    
+    const { stats, ...applyOptions } = options;
+    return applyRules(text, depthInfo, placement, {
+        ...applyOptions,
+        rules: options.rules || getAllRules(),
+        run: options.run || prepareRuleRun(),
+        env: engineEnv,
+        onRuleRun: stats ? (tag, before, after, ms) => recordRuleStats(stats, tag, before, after, ms) : undefined,
+        onRuleApplied: options.preview ? undefined : emitRuleApplied
+    });
+}
+
+/** @type {BudgetReport|null} 最近一次预算模式的处理结果 */
+let lastBudgetReport = null;
+
+/**
+ * 获取预算模式的目标token数
+ * @returns {number}
+ */
+function getBudgetTarget() {
+    const settings = extension_settings.tag_blocker;
+    const target = Number(settings.budgetTarget) || 0;
+    
+    if (settings.budgetUnit === 'tokens') return target;
+    return Math.floor(getMaxContextSize() * target / 100);
+}
+
+// 在后台线程中试运行正则表达式，只统计匹配数量和长度。替换仍在主线程中进行，按时完成的表达式与文本才会交给规则处理
+const REGEX_WORKER_SOURCE = `
+self.onmessage = event => {
+    const { source, flags, texts } = event.data;
+    const regex = new RegExp(source, flags);
+    const results = texts.map(text => {
+        if (!regex.global) {
+            const match = regex.exec(text);
+            return { matches: match ? 1 : 0, removed: match ? match[0].length : 0 };
+        }
+        let matches = 0;
+        let removed = 0;
+        for (const match of text.matchAll(regex)) {
+            matches++;
+            removed += match[0].length;
+        }
+        return { matches, removed };
+    });
+    self.postMessage(results);
+};`;
+
+// 已检查过的正则表达式与文本组合最多保留的数量
+const REGEX_CHECK_CACHE_LIMIT = 20000;
+
+/** @type {string|null} 后台线程脚本地址 */
+let regexWorkerUrl = null;
+/** @type {boolean} 后台线程是否无法创建 (如被内容安全策略阻止)，无法创建时不再尝试 */
+let regexWorkerUnavailable = false;
+/** @type {Map<string, number>} 每个规则连续超时的次数 */
+const regexTimeoutCounts = new Map();
+/** @type {Set<string>} 在后台线程中按时执行完成的正则表达式与文本 (修改超时时间后清空) */
+const regexCheckCache = new Set();
+
+/**
+ * 创建执行正则表达式的后台线程
+ * 
+ * 每次处理使用自己的线程并在结束后终止，同时进行的生成和测试不会收到彼此的结果。
+ * @returns {Worker|null} 后台线程不可用时返回null
+ */
+function createRegexWorker() {
+    if (regexWorkerUnavailable) return null;
+    
+    try {
+        regexWorkerUrl ??= URL.createObjectURL(new Blob([REGEX_WORKER_SOURCE], { type: 'text/javascript' }));
+        return new Worker(regexWorkerUrl);
+    } catch (error) {
+        regexWorkerUnavailable = true;
+        console.warn('[高级内容处理器] 无法创建后台线程，跳过正则安全检查:', error);
+        return null;
+    }
+}
+
+/**
+ * 在后台线程中执行正则表达式，超时或出错时终止线程
+ * @param {Worker} worker 由createRegexWorker创建的线程 (同一线程上的调用需要依次等待)
+ * @param {RegExp} regex 正则表达式
+ * @param {string[]} texts 文本
+ * @param {number} timeout 超时时间 (毫秒)
+ * @returns {Promise<{timedOut: boolean, results?: {matches: number, removed: number}[]}|null>} 后台线程出错时返回null
+ */
+function runRegexInWorker(worker, regex, texts, timeout) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            // 终止卡住的线程，调用方需要重新创建
+            worker.terminate();
+            resolve({ timedOut: true });
+        }, timeout);
+        
+        worker.onmessage = event => {
+            clearTimeout(timer);
+            resolve({ timedOut: false, results: event.data });
+        };
+        worker.onerror = event => {
+            clearTimeout(timer);
+            event.preventDefault?.();
+            worker.terminate();
+            resolve(null);
+        };
+        worker.postMessage({ source: regex.source, flags: regex.flags, texts: texts });
+    });
+}
+
+/**
+ * 在单独的后台线程中试运行一次正则表达式
+ * @param {RegExp} regex 正则表达式
+ * @param {string[]} texts 文本
+ * @param {number} timeout 超时时间 (毫秒)
+ * @returns {Promise<{timedOut: boolean, results?: {matches: number, removed: number}[]}|null>} 后台线程不可用时返回null
+ */
+async function tryRegexInWorker(regex, texts, timeout) {
+    const worker = createRegexWorker();
+    if (!worker) return null;
+    
+    const result = await runRegexInWorker(worker, regex, texts, timeout);
+    worker.terminate();
+    return result;
+}
+
+/**
+ * 正则规则执行超时，连续超时多次后自动禁用
+ * @param {TagBlockerTag} tag 规则
+ */
+async function onRegexTimeout(tag) {
+    const count = (regexTimeoutCounts.get(tag.id) || 0) + 1;
+    regexTimeoutCounts.set(tag.id, count);
+    
+    if (count < REGEX_TIMEOUT_LIMIT) {
+        window.toastr?.warning?.(`规则 "${tag.scriptName}" 执行超时，本次处理已跳过（${count}/${REGEX_TIMEOUT_LIMIT}）`);
+        return;
+    }
+    
+    tag.enabled = false;
+    regexTimeoutCounts.delete(tag.id);
+    saveTagBlockerSettings();
+    await loadTagList();
+    window.toastr?.error?.(`规则 "${tag.scriptName}" 连续 ${REGEX_TIMEOUT_LIMIT} 次执行超时，已自动禁用，请检查正则表达式`);
+}
+
+/**
+ * 创建一次处理使用的正则安全检查
+ * @param {boolean} [countTimeouts] 是否累计超时次数 (连续超时多次后自动禁用规则)
+ * @returns {RegexGuard}
+ */
+function createRegexGuard(countTimeouts = true) {
+    return { skipRules: new Set(), countTimeouts: countTimeouts, worker: null };
+}
+
+/**
+ * 处理结束后终止安全检查的后台线程
+ * @param {RegexGuard} guard 正则安全检查
+ */
+function closeRegexGuard(guard) {
+    guard.worker?.terminate();
+    guard.worker = null;
+}
+
+/**
+ * 在后台线程中用规则将要处理的文本试运行规则的所有正则表达式 (包括条件中的表达式)
+ * 
+ * 按表达式和文本记录检查结果，内容没有变化的消息不会重复检查。
+ * @param {RegexGuard} guard 正则安全检查
+ * @param {TagBlockerTag} tag 规则
+ * @param {string[]} texts 规则将要处理的文本 (已应用前面的规则)
+ * @returns {Promise<boolean>} 规则是否可以执行，执行超时的规则在本次处理中跳过
+ */
+async function checkRuleRegexes(guard, tag, texts) {
+    if (guard.skipRules.has(tag.id)) return false;
+    
+    const settings = extension_settings.tag_blocker;
+    if (!settings.regexGuard || texts.length === 0) return true;
+    
+    const textKeys = new Map(texts.map(text => [text, `${text.length}:${getStringHash(text)}`]));
+    let checked = false;
+    
+    for (const regex of getRuleRegexes(tag, engineEnv)) {
+        const regexKey = `${regex.flags}/${regex.source}\u0000`;
+        const pending = [...textKeys].filter(([, textKey]) => !regexCheckCache.has(regexKey + textKey));
+        if (pending.length === 0) continue;
+        
+        guard.worker ??= createRegexWorker();
+        if (!guard.worker) return true;
+        
+        const startTime = performance.now();
+        const result = await runRegexInWorker(guard.worker, regex, pending.map(([text]) => text), Number(settings.regexTimeout) || 500);
+        if (!result) {
+            // 出错的线程已被终止，下一次检查使用新线程
+            guard.worker = null;
+            return true;
+        }
+        
+        if (result.timedOut) {
+            // 超时的线程已被终止，下一条规则使用新线程
+            guard.worker = null;
+            guard.skipRules.add(tag.id);
+            if (guard.countTimeouts) {
+                await onRegexTimeout(tag);
+            } else {
+                window.toastr?.warning?.(`规则 "${tag.scriptName}" 执行超时，已跳过`);
+            }
+            return false;
+        }
+        
+        if (regexCheckCache.size + pending.length > REGEX_CHECK_CACHE_LIMIT) {
+            regexCheckCache.clear();
+        }
+        pending.forEach(([, textKey]) => regexCheckCache.add(regexKey + textKey));
+        checked = true;
+        logDebug(`规则 "${tag.scriptName}" 检查 ${pending.length} 条文本耗时 ${Math.round(performance.now() - startTime)}ms`);
+    }
+    
+    if (checked && guard.countTimeouts) {
+        regexTimeoutCounts.delete(tag.id);
+    }
+    return true;
+}
+
+/**
+ * 找出规则可能处理的文本，并检查规则在这些文本上的执行时间
+ * 
+ * 附加条件中的正则表达式同样需要检查，所以这里不判断条件，由应用规则时判断。
+ * @param {RegexGuard} guard 正则安全检查
+ * @param {TagBlockerTag} tag 规则
+ * @param {GuardedText[]} items 文本
+ * @param {RuleApplyOptions} options 处理选项 (需要提供对话信息)
+ * @returns {Promise<GuardedText[]>} 规则可能处理的文本 (规则执行超时时为空)
+ */
+async function findGuardedTargets(guard, tag, items, options) {
+    const unconditional = { ...tag, conditions: null };
+    const targets = items.filter(item => !isFloorExcluded(options.run, item.depthInfo?.floor ?? null) &&
+        shouldApplyRule(unconditional, item.text, item.depthInfo, item.placement, { ...options, env: engineEnv }));
+    
+    if (targets.length === 0 || !(await checkRuleRegexes(guard, tag, targets.map(item => item.text)))) return [];
+    return targets;
+}
+
+/**
+ * 逐个规则处理文本，每个规则应用前先检查它在前面的规则处理后的文本上的执行时间
+ * @param {GuardedText[]} items 文本 (处理结果写回 text)
+ * @param {TagBlockerTag[]} rules 规则
+ * @param {RegexGuard} guard 正则安全检查
+ * @param {RuleApplyOptions & {preview?: boolean, stats?: Map<string, RuleLogStats>}} options 处理选项 (需要提供对话信息)
+ */
+async function applyRulesGuarded(items, rules, guard, options) {
+    if (!extension_settings.tag_blocker.regexGuard) {
+        for (const item of items) {
+            item.text = applyTagBlockRules(item.text, item.depthInfo, item.placement, { ...options, rules: rules, trace: item.trace });
+        }
+        return;
+    }
+    
+    for (const rule of rules) {
+        for (const item of await findGuardedTargets(guard, rule, items, options)) {
+            item.text = applyTagBlockRules(item.text, item.depthInfo, item.placement, { ...options, rules: [rule], trace: item.trace });
+        }
+    }
+}
+
+/**
+ * 将文本片段转换为逐个规则处理的文本
+ * @param {PayloadSegment[]} segments 文本片段 (已包含楼层信息)
+ * @returns {GuardedText[]}
+ */
+function toGuardedTexts(segments) {
+    return segments.map(segment => ({ text: segment.text, depthInfo: segment.depthInfo, placement: getSegmentPlacement(segment) }));
+}
+
+/**
+ * 规则清空了消息或移除了过多内容时，在发送前提醒用户
+ * @param {PayloadSegment[]} segments 处理后的文本片段
+ * @param {string[]} originals 处理前的文本
+ * @param {RegexGuard} guard 正则安全检查 (判断条件前检查条件中的表达式)
+ */
+async function confirmProcessedSegments(segments, originals, guard) {
+    const settings = extension_settings.tag_blocker;
+    if (!settings.removalWarning) return;
+    
+    // 提取规则设置为丢弃消息时，消息被清空是预期的结果
+    const run = prepareRuleRun();
+    const dropRules = [];
+    for (const tag of getAllRules().filter(tag => tag.ruleType === 'extract' && tag.extractFallback === 'drop')) {
+        if (await checkRuleRegexes(guard, tag, originals)) dropRules.push(tag);
+    }
+    const isIntentionalDrop = (segment, original) => dropRules.some(tag =>
+        shouldApplyRule(tag, original, segment.depthInfo, getSegmentPlacement(segment), { run: run, env: engineEnv }));
+    
+    const emptied = segments.filter((segment, index) =>
+        originals[index].trim() && !segment.text.trim() && !isIntentionalDrop(segment, originals[index]));
+    
+    const originalLength = originals.reduce((total, text) => total + text.length, 0);
+    const processedLength = segments.reduce((total, segment) => total + segment.text.length, 0);
+    const removedPercent = originalLength > 0 ? Math.round((1 - processedLength / originalLength) * 100) : 0;
+    const tooMuchRemoved = removedPercent > Number(settings.removalWarningPercent);
+    
+    if (emptied.length === 0 && !tooMuchRemoved) return;
+    
+    const content = $('<div></div>');
+    content.append($('<h3></h3>').text('规则移除了较多内容'));
+    if (emptied.length > 0) {
+        content.append($('<div></div>').text(`${emptied.length} 条消息被完全清空`));
+    }
+    if (tooMuchRemoved) {
+        content.append($('<div></div>').text(`规则移除了提示词中 ${removedPercent}% 的内容（提醒阈值 ${settings.removalWarningPercent}%）`));
+    }
+    content.append($('<small></small>').text('可能是正则表达式匹配范围过大，例如带有 g 标志的 [\\s\\S]*。'));
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', { okButton: '继续发送', cancelButton: '发送原始内容' });
+    const result = await popup.show();
+    
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        segments.forEach((segment, index) => {
+            segment.write(originals[index]);
+            segment.text = originals[index];
+        });
+        window.toastr?.info?.('已发送未经规则处理的内容');
+    }
+}
+
+/**
+ * 预算模式：从最早的消息开始，按规则优先级逐条应用规则，直到提示词小于目标token数
+ * @param {PayloadSegment[]} segments 文本片段 (已包含楼层信息)
+ * @param {number} promptTokens 处理前的估算token数
+ * @param {RuleRunContext} run 本次处理共用的对话信息
+ * @param {RegexGuard} guard 正则安全检查
+ * @param {Map<string, RuleLogStats>} stats 每个规则的统计
+ */
+async function processSegmentsWithBudget(segments, promptTokens, run, guard, stats) {
+    const target = getBudgetTarget();
+    const report = { before: promptTokens, after: promptTokens, target: target, applied: 0 };
+    
+    // 优先级高的规则先应用，同优先级按列表顺序
+    const rules = getAllRules().sort((a, b) => b.priority - a.priority);
+    // 最早的消息在前，不属于对话消息的片段最后处理
+    const ordered = [...segments].sort((a, b) => (b.depthInfo?.depth ?? -1) - (a.depthInfo?.depth ?? -1));
+    
+    // 先用处理前的文本一起检查所有规则，之后只有被前面的规则修改过的文本需要重新检查
+    const items = toGuardedTexts(ordered);
+    if (promptTokens > target) {
+        for (const rule of rules) {
+            await findGuardedTargets(guard, rule, items, { run: run, promptTokens: promptTokens });
+        }
+    }
+    
+    let total = promptTokens;
+    processing: for (const [index, segment] of ordered.entries()) {
+        for (const rule of rules) {
+            if (total <= target) break processing;
+            
+            const item = { ...items[index], text: segment.text };
+            if ((await findGuardedTargets(guard, rule, [item], { run: run, promptTokens: total })).length === 0) continue;
+            
+            const processed = applyTagBlockRules(segment.text, segment.depthInfo, item.placement, { promptTokens: total, rules: [rule], run: run, stats: stats });
+            if (processed !== segment.text) {
+                total -= estimateTokens(segment.text) - estimateTokens(processed);
+                segment.write(processed);
+                segment.text = processed;
+                report.applied++;
+            }
+        }
+    }
+    
+    report.after = total;
+    lastBudgetReport = report;
+    logDebug(`预算模式: ${report.before} → ${report.after} tokens (目标 ${report.target}，应用规则 ${report.applied} 次)`);
+    updateBudgetReport();
+}
+
+/**
+ * 在设置面板中显示最近一次预算模式的处理结果
+ */
+function updateBudgetReport() {
+    const reportText = $('#budget-report');
+    if (!lastBudgetReport) {
+        reportText.text('尚未生成');
+        return;
+    }
+    
+    const { before, after, target, applied } = lastBudgetReport;
+    reportText.text(before <= target
+        ? `上次生成约 ${before} tokens，未超过目标 ${target}，没有应用规则`
+        : `上次生成 ${before} → ${after} tokens（目标 ${target}），应用规则 ${applied} 次，节省约 ${before - after} tokens`);
+}
+
+/**
+ * 对文本片段应用规则，并把结果写回请求体，同时记录应用日志
+ * @param {PayloadSegment[]} segments 文本片段
+ * @param {Object|null} body 拦截到的请求体 (用于按连接切换规则方案)
+ */
+async function processSegments(segments, body = null) {
+    await switchProfileForConnection(getConnectionInfo(body));
+    
+    const startTime = performance.now();
+    // 整个请求共用一份对话信息和规则列表
+    const run = prepareRuleRun();
+    resolveSegmentDepths(segments, run.chat);
+    
+    // 检查规则时会等待后台线程，统计只记录本次请求应用的规则
+    const guard = createRegexGuard();
+    const collector = new Map();
+    try {
+        await prepareSummaries(segments, run, guard);
+        const originals = segments.map(segment => segment.text);
+        
+        await applyRulesToSegments(segments, run, guard, collector);
+        appendApplicationLog(collector, performance.now() - startTime);
+        await confirmProcessedSegments(segments, originals, guard);
+    } finally {
+        closeRegexGuard(guard);
+    }
+}
+
+/**
+ * 将文本片段映射到对话楼层，已知楼层的片段保持不变
+ * @param {PayloadSegment[]} segments 文本片段
+ * @param {Object[]} chat 对话消息
+ */
+function resolveSegmentDepths(segments, chat) {
+    // 合并同一条消息的所有文本块，用于楼层映射
+    const messagesByPosition = new Map();
+    for (const segment of segments) {
+        if (segment.position === null || segment.depthInfo) continue;
+        const message = messagesByPosition.get(segment.position);
+        if (message) {
+            message.text += '\n' + segment.text;
+        } else {
+            messagesByPosition.set(segment.position, { role: segment.role, text: segment.text });
+        }
+    }
+    
+    const positions = [...messagesByPosition.keys()].sort((a, b) => a - b);
+    const depthInfos = resolveMessageDepths(positions.map(position => messagesByPosition.get(position)), chat);
+    const depthByPosition = new Map(positions.map((position, index) => [position, depthInfos[index]]));
+    
+    for (const segment of segments) {
+        segment.depthInfo = segment.depthInfo ?? (segment.position !== null ? depthByPosition.get(segment.position) : null);
     }
 }
 
 /**
- * 编辑正则表达式规则
- * @param {string} tagId 规则ID
+ * 对文本片段应用规则
+ * @param {PayloadSegment[]} segments 文本片段 (已包含楼层信息)
+ * @param {RuleRunContext} run 本次处理共用的对话信息
+ * @param {RegexGuard} guard 正则安全检查
+ * @param {Map<string, RuleLogStats>} stats 每个规则的统计
  */
-async function onEditRegexClick(tagId) {
-    const tag = extension_settings.tag_blocker.tags.find(t => t.id === tagId);
-    if (!tag) return;
-    
-    const editorHtml = $(await renderExtensionTemplateAsync('tag-blocker', 'editor'));
+async function applyRulesToSegments(segments, run, guard, stats) {
+    const promptTokens = estimateTokens(segments.map(segment => segment.text).join(''));
     
-    // 隐藏标签字段
-    editorHtml.find('#tag-start').parent().parent().hide();
-    editorHtml.find('#tag-end').parent().parent().hide();
-    editorHtml.find('.tag-preview').hide();
+    if (extension_settings.tag_blocker.budgetMode) {
+        await processSegmentsWithBudget(segments, promptTokens, run, guard, stats);
+        return;
+    }
     
-    // 填充表单
-    editorHtml.find('#regex-pattern').val(tag.regexPattern);
-    editorHtml.find('#replace-string').val(tag.replaceString);
+    const items = toGuardedTexts(segments);
+    await applyRulesGuarded(items, getAllRules().filter(rule => rule.enabled), guard, { promptTokens: promptTokens, run: run, stats: stats });
     
-    if (tag.minDepth !== null) editorHtml.find('#min-depth').val(tag.minDepth);
-    if (tag.maxDepth !== null) editorHtml.find('#max-depth').val(tag.maxDepth);
+    segments.forEach((segment, index) => {
+        const processed = items[index].text;
+        if (processed !== segment.text) {
+            segment.write(processed);
+            segment.text = processed;
+        }
+    });
+}
+
+/**
+ * 识别请求格式并处理请求体中的所有文本
+ * @param {Object} body 请求体
+ * @param {string} url 请求地址
+ * @returns {string|null} 使用的适配器名称，无法识别时返回null
+ */
+async function processPayload(body, url) {
+    const adapter = payloadAdapters.find(item => item.detect(body, url));
+    if (!adapter) {
+        // 不能静默放行未处理的内容
+        console.warn(`[高级内容处理器] 无法识别的请求格式，内容未经处理: ${url}`);
+        return null;
+    }
     
-    editorHtml.find('#markdown-only').prop('checked', tag.markdownOnly);
-    editorHtml.find('#prompt-only').prop('checked', tag.promptOnly);
-    editorHtml.find('#run-on-edit').prop('checked', tag.runOnEdit);
+    const segments = adapter.extract(body);
+    await processSegments(segments, body);
+    logDebug(`使用 ${adapter.name} 适配器处理了 ${segments.length} 个文本片段`);
     
-    // 设置位置选项
-    if (Array.isArray(tag.placement)) {
-        tag.placement.forEach(pos => {
-            editorHtml.find(`.placement-option[value="${pos}"]`).prop('checked', true);
-        });
-    }
+    return adapter.name;
+}
 
-    const popupResult = await callPopup(editorHtml, 'confirm');
-    if (popupResult) {
-        const regexPattern = editorHtml.find('#regex-pattern').val();
-        const replaceString = editorHtml.find('#replace-string').val();
-        const minDepth = editorHtml.find('#min-depth').val() ? parseInt(editorHtml.find('#min-depth').val()) : null;
-        const maxDepth = editorHtml.find('#max-depth').val() ? parseInt(editorHtml.find('#max-depth').val()) : null;
-        const markdownOnly = editorHtml.find('#markdown-only').prop('checked');
-        const promptOnly = editorHtml.find('#prompt-only').prop('checked');
-        const runOnEdit = editorHtml.find('#run-on-edit').prop('checked');
-        
-        // 获取应用位置选项
-        const placement = [];
-        editorHtml.find('.placement-option:checked').each(function() {
-            placement.push(parseInt($(this).val()));
-        });
-        
-        if (!regexPattern) {
-            window.toastr?.warning?.('正则表达式不能为空');
-            return;
-        }
+/**
+ * 处理文本补全合并后的提示词
+ * 
+ * 从后往前在提示词中定位每条聊天消息，聊天消息按各自的楼层和角色应用规则，其余部分按系统提示处理。
+ * @param {string} prompt 合并后的提示词
+ * @returns {string} 处理后的提示词
+ */
+async function processCombinedPrompt(prompt) {
+    const context = getContext();
+    const chat = Array.isArray(context?.chat) ? context.chat : [];
+    
+    const segments = [];
+    const addSegment = (text, role, depthInfo = null) => {
+        if (!text) return;
+        const segment = { role: role, text: text, position: null, depthInfo: depthInfo, write: value => { segment.text = value; } };
+        segments.unshift(segment);
+    };
+    
+    let cursor = prompt.length;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        // 隐藏的消息不会出现在提示词中
+        if (!message.mes || message.is_system || cursor < message.mes.length) continue;
         
-        tag.scriptName = `正则 ${regexPattern.substring(0, 20)}${regexPattern.length > 20 ? '...' : ''}`;
-        tag.regexPattern = regexPattern;
-        tag.replaceString = replaceString;
-        tag.minDepth = minDepth;
-        tag.maxDepth = maxDepth;
-        tag.markdownOnly = markdownOnly;
-        tag.promptOnly = promptOnly;
-        tag.runOnEdit = runOnEdit;
-        tag.placement = placement.length > 0 ? placement : [2];
+        const index = prompt.lastIndexOf(message.mes, cursor - message.mes.length);
+        if (index === -1) continue;
         
-        saveTagBlockerSettings();
-        await loadTagList();
+        addSegment(prompt.slice(index + message.mes.length, cursor), 'system');
+        addSegment(message.mes, message.is_user ? 'user' : 'assistant', { floor: i, depth: chat.length - 1 - i });
+        cursor = index;
     }
+    addSegment(prompt.slice(0, cursor), 'system');
+    
+    await processSegments(segments);
+    return segments.map(segment => segment.text).join('');
 }
 
 /**
- * 删除标签
- * @param {string} tagId 标签ID
+ * 根据提示词管理器的提示词标识获取每条消息的来源位置
+ * 
+ * 提示词管理器按顺序保存了本次生成的所有提示词，跳过没有内容的提示词后与发送的消息一一对应。
+ * 其他扩展增删过消息时无法对应，此时返回null，所有消息按角色判断位置。
+ * @param {Object[]} chat 发送的消息列表
+ * @returns {(number|null)[]|null} 每条消息的位置 (无法识别来源的消息为null)
  */
-async function onDeleteTagClick(tagId) {
-    const confirmed = await callGenericPopup('确定要删除这个规则吗？', POPUP_TYPE.CONFIRM);
-    if (!confirmed) return;
+function getPromptSourcePlacements(chat) {
+    const collection = openai.promptManager?.messages?.collection;
+    if (!Array.isArray(collection)) return null;
     
-    const index = extension_settings.tag_blocker.tags.findIndex(t => t.id === tagId);
-    if (index !== -1) {
-        extension_settings.tag_blocker.tags.splice(index, 1);
-        saveTagBlockerSettings();
-        await loadTagList();
+    /** @type {{identifier: string|undefined, parent: string|null, content: any}[]} */
+    const prompts = [];
+    const collect = (items, parent) => {
+        for (const item of items) {
+            if (Array.isArray(item?.collection)) {
+                collect(item.collection, item.identifier ?? parent);
+            } else if (item?.content || item?.tool_calls) {
+                prompts.push({ identifier: item.identifier, parent: parent, content: item.content });
+            }
+        }
+    };
+    collect(collection, null);
+    
+    const sameContent = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+    if (prompts.length !== chat.length || prompts.some((prompt, index) => !sameContent(prompt.content, chat[index]?.content))) {
+        logDebug('提示词管理器中的提示词与发送的消息不一致，按角色判断应用位置');
+        return null;
     }
+    
+    return prompts.map(prompt => getPlacementForIdentifier(prompt.identifier) ?? getPlacementForIdentifier(prompt.parent));
 }
 
 /**
- * 扫描当前对话的所有Prompt
+ * 聊天补全提示词准备完成时处理所有消息
+ * @param {{chat: Object[], dryRun: boolean}} data 事件数据
  */
-async function scanPrompts() {
-    // 获取当前对话ID
-    const chatId = getCurrentChatId();
-    if (!chatId) {
-        window.toastr?.warning?.('没有打开的对话');
-        return;
-    }
-
-    // 获取上下文
-    const context = getContext();
-    if (!context || !context.chat || !Array.isArray(context.chat)) {
-        window.toastr?.warning?.('无法获取对话上下文');
-        return;
+async function onChatCompletionPromptReady(data) {
+    if (!data || data.dryRun || !Array.isArray(data.chat)) return;
+    
+    const segments = extractChatMessages(data.chat);
+    const sourcePlacements = getPromptSourcePlacements(data.chat);
+    if (sourcePlacements) {
+        segments.forEach(segment => {
+            const placement = sourcePlacements[segment.position];
+            if (placement !== null && placement !== undefined) segment.placement = placement;
+        });
     }
-
-    // 收集所有消息 - 仅聊天记录
-    const prompts = [];
+    await processSegments(segments);
     
-    // 聊天历史
-    for (let i = 0; i < context.chat.length; i++) {
-        const message = context.chat[i];
-        if (message.mes) {
-            prompts.push({
-                id: uuidv4(),
-                text: message.mes,
-                excluded: false,
-                source: `${message.is_user ? '用户消息' : '角色回复'} (楼层 ${i})`
-            });
+    // 提取规则丢弃的消息整条移除，避免发送空消息
+    const droppedPositions = new Set(segments.filter(segment => segment.text === '').map(segment => segment.position));
+    for (let index = data.chat.length - 1; index >= 0; index--) {
+        if (droppedPositions.has(index) && isEmptyMessageContent(data.chat[index]?.content)) {
+            data.chat.splice(index, 1);
         }
     }
-    
-    // 保存到设置
-    extension_settings.tag_blocker.excludedPrompts = prompts;
-    saveTagBlockerSettings();
-    await loadPromptList();
-    
-    return prompts.length;
+    markPromptEventHandled(extractChatMessages(data.chat).map(segment => segment.text));
+    logDebug(`聊天补全提示词处理完成，共 ${segments.length} 个文本片段`);
 }
 
 /**
- * 刷新Prompt列表
+ * 文本补全提示词合并完成时处理提示词
+ * @param {{prompt: string, dryRun: boolean}} data 事件数据
  */
-async function refreshPrompts() {
-    await loadPromptList();
-    window.toastr?.success?.('刷新成功');
+async function onGenerateAfterCombinePrompts(data) {
+    if (!data || data.dryRun || typeof data.prompt !== 'string') return;
+    
+    data.prompt = await processCombinedPrompt(data.prompt);
+    markPromptEventHandled([data.prompt]);
+    logDebug('文本补全提示词处理完成');
 }
 
 /**
- * 检查文本是否应用规则
- * @param {TagBlockerTag} tag 规则
- * @param {string} text 文本
- * @param {number|null} depth 楼层深度
- * @param {number} placement 应用位置类型
- * @returns {boolean} 是否应应用规则
+ * 在聊天中显示应用规则后的消息
+ * @param {number} messageId 消息楼层
+ * @param {string} processed 应用规则后的消息文本
  */
-function shouldApplyRule(tag, text, depth, placement) {
-    // 检查是否启用
-    if (!tag.enabled) return false;
+function renderDisplayMessage(messageId, processed) {
+    const message = getContext()?.chat?.[messageId];
+    if (!message || typeof message.mes !== 'string') return;
     
-    // 检查应用位置
-    if (!tag.placement.includes(placement)) return false;
+    const messageText = $(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!messageText.length) return;
     
-    // 检查楼层限制
-    if (depth !== null) {
-        if (tag.minDepth !== null && depth < tag.minDepth) return false;
-        if (tag.maxDepth !== null && depth > tag.maxDepth) return false;
-    }
+    updateMessageExcludeButton(messageId);
+    updateMessageSummaryButton(messageId);
     
-    // 检查是否在排除列表中
-    const excludedPrompts = extension_settings.tag_blocker.excludedPrompts || [];
-    for (const prompt of excludedPrompts) {
-        if (prompt.excluded && text.includes(prompt.text)) {
-            return false;
-        }
-    }
+    // 未被修改过的消息保持酒馆原本的渲染结果
+    const wasProcessed = messageText.attr('data-tag-blocker') === 'true';
+    if (processed === message.mes && !wasProcessed) return;
     
-    return true;
+    messageText.html(messageFormatting(processed, message.name, message.is_system, message.is_user, messageId));
+    messageText.attr('data-tag-blocker', String(processed !== message.mes));
 }
 
 /**
- * 应用标签屏蔽规则
- * @param {string} text 需要处理的文本
- * @param {number|null} depth 楼层深度
- * @param {number} placement 位置类型 (0=用户输入, 1=AI回复, 2=系统提示)
- * @returns {string} 处理后的文本
+ * 逐个规则检查并处理聊天中显示的消息，然后更新显示
+ * @param {number[]} messageIds 消息楼层
+ * @param {boolean} isEdit 是否由编辑消息触发
  */
-function applyTagBlockRules(text, depth = null, placement = 2) {
-    if (!extension_settings.tag_blocker || !Array.isArray(extension_settings.tag_blocker.tags)) {
-        return text;
-    }
-    
-    let result = text;
-    let wasModified = false;
+async function renderDisplayMessages(messageIds, isEdit = false) {
+    const chat = getContext()?.chat;
+    if (!Array.isArray(chat)) return;
     
-    logDebug(`处理文本 [深度=${depth}, 位置=${placement}]`);
+    const items = messageIds.filter(messageId => typeof chat[messageId]?.mes === 'string').map(messageId => ({
+        messageId: messageId,
+        original: chat[messageId].mes,
+        text: chat[messageId].mes,
+        depthInfo: { floor: messageId, depth: chat.length - 1 - messageId },
+        placement: chat[messageId].is_user ? 0 : 1
+    }));
     
-    // 应用每个规则
-    for (const tag of extension_settings.tag_blocker.tags) {
-        if (!shouldApplyRule(tag, result, depth, placement)) {
-            continue;
-        }
-        
-        let processedText;
-        
-        // 根据规则类型处理文本
-        if (tag.regexPattern) {
-            // 使用正则表达式处理
-            processedText = processWithRegex(result, tag.regexPattern, tag.replaceString);
-        } else {
-            // 使用标签处理
-            processedText = processWithTags(result, tag.startTag, tag.endTag, tag.replaceString);
-        }
-        
-        // 检查是否有变化
-        if (processedText !== result) {
-            logDebug(`规则 "${tag.scriptName}" 应用成功`);
-            result = processedText;
-            wasModified = true;
-        }
+    // 显示的消息同样在主线程上处理，执行超时的正则规则不能卡住页面
+    const guard = createRegexGuard();
+    try {
+        await applyRulesGuarded(items, getAllRules(), guard, { target: 'display', isEdit: isEdit, run: prepareRuleRun() });
+    } finally {
+        closeRegexGuard(guard);
     }
     
-    if (wasModified) {
-        logDebug('文本已被修改');
+    // 检查期间被修改的消息会由之后的事件重新处理
+    for (const item of items) {
+        if (getContext()?.chat?.[item.messageId]?.mes !== item.original) continue;
+        renderDisplayMessage(item.messageId, item.text);
     }
+}
+
+/**
+ * 重新处理聊天中所有显示的消息
+ */
+function refreshDisplayedMessages() {
+    const messageIds = [];
+    $('#chat .mes').each(function() {
+        const messageId = Number($(this).attr('mesid'));
+        if (!isNaN(messageId)) {
+            messageIds.push(messageId);
+        }
+    });
+    renderDisplayMessages(messageIds);
+}
+
+/**
+ * 检查请求是否为已经由提示词事件处理过的酒馆生成请求 (每条记录只使用一次)
+ * 
+ * 按请求体中的文本与处理后的提示词比较，其他扩展在此期间发出的请求不会被误认。
+ * @param {Object} body 请求体
+ * @param {string} url 请求地址
+ * @returns {boolean}
+ */
+function consumePromptEventHandledRequest(body, url) {
+    if (promptEventHandledPrompts.size === 0 || !DEFAULT_FETCH_ALLOWLIST.some(route => url.includes(route))) return false;
     
-    return result;
+    const adapter = payloadAdapters.find(item => item.detect(body, url));
+    if (!adapter) return false;
+    
+    const signature = getPromptSignature(adapter.extract(body).map(segment => segment.text));
+    return promptEventHandledPrompts.delete(signature);
 }
 
-// 拦截prompt发送
-function interceptPrompt(data) {
-    // 不修改原始数据结构，只处理发送内容
-    if (data.prompt) {
-        // 保存原始prompt以便调试
-        data._originalPrompt = data.prompt;
-        // 应用标签屏蔽规则 - 系统提示
-        data.prompt = applyTagBlockRules(data.prompt, null, 2);
-    }
-    return data;
+/**
+ * 检查请求地址是否在兼容模式的拦截列表中
+ * @param {string} url 请求地址
+ * @returns {boolean}
+ */
+function isFetchAllowlisted(url) {
+    const allowlist = extension_settings.tag_blocker.fetchAllowlist || [];
+    return allowlist.some(pattern => pattern && url.includes(pattern));
 }
 
 // 声明一个全局变量来保存原始的fetch方法
@@ -861,27 +3712,10 @@ let originalFetch;
 // 只有在运行在浏览器环境中时才应用拦截器
 if (typeof window !== 'undefined' && window.fetch) {
     originalFetch = window.fetch;
-    window.fetch = function(resource, options) {
-        // 只处理发送给AI的请求
-        const resourceStr = resource.toString();
-        // 支持更多可能的API端点
-        if (resourceStr.includes("/api/v1/generate") ||
-            resourceStr.includes("/api/v1/chat") ||
-            resourceStr.includes("/v1/chat/completions") ||
-            resourceStr.includes("/v1/completions") ||
-            resourceStr.includes("/generate") ||
-            resourceStr.includes("/chat/completions") ||
-            resourceStr.includes("/completions") ||
-            // Claude API
-            resourceStr.includes("/v1/messages") ||
-            // Gemini API
-            resourceStr.includes("/v1beta/models") ||
-            // 本地AI服务
-            resourceStr.includes("localhost") && (
-                resourceStr.includes("/generate") || 
-                resourceStr.includes("/chat") || 
-                resourceStr.includes("/completion")
-            )) {
+    window.fetch = async function(resource, options) {
+        // 兼容模式：仅处理拦截列表中的请求，默认通过提示词事件处理
+        const resourceStr = resource instanceof Request ? resource.url : String(resource);
+        if (extension_settings.tag_blocker.fetchFallback && pendingSummaryRequests === 0 && isFetchAllowlisted(resourceStr)) {
             
             if (options && options.body) {
                 try {
@@ -901,59 +3735,13 @@ if (typeof window !== 'undefined' && window.fetch) {
                         return originalFetch.call(window, resource, options);
                     }
                     
-                    // 处理不同API格式的请求
-                    
-                    // 应用标签屏蔽规则 - OpenAI格式
-                    if (body.prompt) {
-                        body.prompt = applyTagBlockRules(body.prompt, null, 2);
-                    }
-                    
-                    if (body.messages && Array.isArray(body.messages)) {
-                        body.messages.forEach((msg, index) => {
-                            if (msg.content) {
-                                if (typeof msg.content === 'string') {
-                                    // 用户消息或AI回复
-                                    const placement = msg.role === 'user' ? 0 : (msg.role === 'assistant' ? 1 : 2);
-                                    msg.content = applyTagBlockRules(msg.content, index, placement);
-                                } else if (Array.isArray(msg.content)) {
-                                    // 处理多模态内容
-                                    msg.content.forEach(part => {
-                                        if (part.type === 'text' && part.text) {
-                                            // 用户消息或AI回复
-                                            const placement = msg.role === 'user' ? 0 : (msg.role === 'assistant' ? 1 : 2);
-                                            part.text = applyTagBlockRules(part.text, index, placement);
-                                        }
-                                    });
-                                }
-                            }
-                        });
-                    }
-                    
-                    // Kobold AI / TextGeneration WebUI 格式
-                    if (body.text) {
-                        body.text = applyTagBlockRules(body.text, null, 2);
-                    }
-                    
-                    // NovelAI格式
-                    if (body.input) {
-                        body.input = applyTagBlockRules(body.input, null, 2);
+                    if (consumePromptEventHandledRequest(body, resourceStr)) {
+                        logDebug('请求的提示词已由提示词事件处理，跳过');
+                        return originalFetch.call(window, resource, options);
                     }
                     
-                    // 处理Anthropic/Claude格式
-                    if (body.text) {
-                        body.text = applyTagBlockRules(body.text, null, 2);
-                    }
-                    if (body.content) {
-                        if (typeof body.content === 'string') {
-                            body.content = applyTagBlockRules(body.content, null, 0); // 假设是用户输入
-                        } else if (Array.isArray(body.content)) {
-                            body.content.forEach(item => {
-                                if (item.type === 'text' && item.text) {
-                                    item.text = applyTagBlockRules(item.text, null, 0);
-                                }
-                            });
-                        }
-                    }
+                    // 根据API格式提取并处理所有文本
+                    await processPayload(body, resourceStr);
                     
                     // 重新序列化
                     options.body = JSON.stringify(body);
@@ -968,6 +3756,290 @@ if (typeof window !== 'undefined' && window.fetch) {
     };
 }
 
+/**
+ * 按名称或ID查找规则
+ * @param {string} name 规则名称或ID
+ * @returns {TagBlockerTag[]} 匹配的规则
+ */
+function findRulesByName(name) {
+    return extension_settings.tag_blocker.tags.filter(tag => tag.scriptName === name || tag.id === name);
+}
+
+/**
+ * 按名称或ID查找分组
+ * @param {string} name 分组名称或ID
+ * @returns {TagBlockerGroup|undefined}
+ */
+function findGroupByName(name) {
+    return extension_settings.tag_blocker.groups.find(group => group.name === name || group.id === name);
+}
+
+/**
+ * 设置规则的启用状态并刷新列表
+ * @param {TagBlockerTag[]} rules 规则
+ * @param {boolean} enabled 是否启用
+ */
+async function setRulesEnabled(rules, enabled) {
+    rules.forEach(tag => { tag.enabled = enabled; });
+    saveTagBlockerSettings();
+    await loadTagList();
+}
+
+/**
+ * 斜杠命令：启用或禁用指定名称的规则
+ * @param {boolean} enabled 是否启用
+ * @returns {(args: {name?: string}, value: string) => Promise<string>}
+ */
+function createRuleSwitchCommand(enabled) {
+    return async (args, value) => {
+        const name = String(args.name || value || '').trim();
+        const rules = findRulesByName(name);
+        if (rules.length === 0) {
+            window.toastr?.warning?.(`找不到规则: ${name}`);
+            return '';
+        }
+        
+        await setRulesEnabled(rules, enabled);
+        return String(rules.length);
+    };
+}
+
+/**
+ * 注册斜杠命令
+ */
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tagblock-list',
+        callback: () => {
+            const scope = getRuleScopeContext();
+            const rules = getAllRules().map(tag => ({
+                id: tag.id,
+                name: tag.scriptName,
+                type: tag.ruleType,
+                enabled: tag.enabled,
+                active: tag.enabled && isRuleInScope(tag, scope),
+                group: extension_settings.tag_blocker.groups.find(group => group.id === tag.groupId)?.name ?? null,
+                source: tag.source ?? null
+            }));
+            return JSON.stringify(rules);
+        },
+        returns: '规则列表 (JSON数组)',
+        helpString: '列出所有内容处理规则，返回包含 id、name、type、enabled、active（在当前对话中生效）、group 和 source（提供规则的扩展）的JSON数组。',
+    }));
+    
+    for (const [name, enabled] of [['tagblock-enable', true], ['tagblock-disable', false]]) {
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: name,
+            callback: createRuleSwitchCommand(enabled),
+            returns: '修改的规则数量',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'name',
+                    description: '规则名称或ID',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    enumProvider: () => extension_settings.tag_blocker.tags.map(tag => tag.scriptName),
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: '规则名称或ID（也可以使用 name= 参数）',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+            ],
+            helpString: `${enabled ? '启用' : '禁用'}指定名称的规则，同名的规则会一起修改。名称可以在规则编辑器中修改；也可以使用 /tagblock-list 返回的规则ID，ID不会随编辑改变。例如：<code>/${name} name="摘要规则"</code>`,
+        }));
+    }
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tagblock-toggle',
+        callback: async (args, value) => {
+            let rules;
+            if (args.group) {
+                const group = findGroupByName(String(args.group));
+                if (!group) {
+                    window.toastr?.warning?.(`找不到分组: ${args.group}`);
+                    return '';
+                }
+                rules = extension_settings.tag_blocker.tags.filter(tag => tag.groupId === group.id);
+            } else {
+                rules = findRulesByName(String(args.name || value || '').trim());
+            }
+            
+            if (rules.length === 0) {
+                window.toastr?.warning?.('没有可切换的规则');
+                return '';
+            }
+            
+            // 与分组开关一致：有任意规则启用时全部禁用，否则全部启用
+            const enabled = args.state !== undefined
+                ? ['on', 'true', '1'].includes(String(args.state).toLowerCase())
+                : !rules.some(tag => tag.enabled);
+            
+            await setRulesEnabled(rules, enabled);
+            return String(enabled);
+        },
+        returns: '切换后的状态 (true/false)',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'group',
+                description: '分组名称或ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => extension_settings.tag_blocker.groups.map(group => group.name),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: '规则名称或ID（不指定分组时使用）',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'state',
+                description: '指定状态 (on/off)，不指定则切换',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '规则名称或ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: '切换分组或规则的启用状态。例如：<code>/tagblock-toggle group="摘要"</code> 或 <code>/tagblock-toggle name="思维链" state=off</code>',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tagblock-apply',
+        callback: (args, value) => {
+            const placements = {
+                user: 0,
+                ai: 1,
+                system: 2,
+                'world-info': PROMPT_SOURCE_PLACEMENTS.worldInfo,
+                'authors-note': PROMPT_SOURCE_PLACEMENTS.authorsNote,
+                character: PROMPT_SOURCE_PLACEMENTS.character,
+                examples: PROMPT_SOURCE_PLACEMENTS.examples,
+                persona: PROMPT_SOURCE_PLACEMENTS.persona
+            };
+            const placement = placements[String(args.placement || 'system')] ?? 2;
+            const chat = getContext().chat || [];
+            const depth = args.depth !== undefined && args.depth !== '' ? Number(args.depth) : null;
+            const depthInfo = depth !== null && !isNaN(depth) ? { floor: chat.length - 1 - depth, depth: depth } : null;
+            
+            return applyTagBlockRules(String(value ?? ''), depthInfo, placement);
+        },
+        returns: '处理后的文本',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'placement',
+                description: '按哪个位置应用规则',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'system',
+                enumList: ['user', 'ai', 'system', 'world-info', 'authors-note', 'character', 'examples', 'persona'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'depth',
+                description: '按哪个倒数楼层检查楼层限制 (0为最新消息)，不指定时跳过设置了楼层范围的规则',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '要处理的文本',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: '对文本应用所有规则并返回结果。例如：<code>/tagblock-apply placement=ai {{lastMessage}} | /echo</code>',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tagblock-exclude',
+        callback: async (args, value) => {
+            const floorArg = String(args.floor ?? value ?? '').trim();
+            const floor = floorArg ? Number(floorArg) : NaN;
+            const chat = getContext().chat || [];
+            if (isNaN(floor) || !chat[floor]) {
+                window.toastr?.warning?.(`找不到楼层: ${floorArg}`);
+                return '';
+            }
+            
+            const excluded = args.state !== undefined
+                ? ['on', 'true', '1'].includes(String(args.state).toLowerCase())
+                : !isMessageExcluded(floor);
+            
+            setMessagesExcluded([floor], excluded);
+            await loadPromptList();
+            return String(excluded);
+        },
+        returns: '排除状态 (true/false)',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'floor',
+                description: '消息楼层 (从0开始)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'state',
+                description: '指定状态 (on=排除, off=包含)，不指定则切换',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '消息楼层（也可以使用 floor= 参数）',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        helpString: '排除或包含指定楼层的消息，被排除的消息不应用规则。例如：<code>/tagblock-exclude floor=5 state=on</code>',
+    }));
+}
+
+/**
+ * 供其他扩展使用的接口
+ * 
+ * 其他扩展注册的规则只保存在内存中，用户采用之前不会被保存或导出。
+ * @example
+ * const id = window.TagBlocker.registerRule({ startTag: '<status>', endTag: '</status>', placement: [1] }, 'my-extension');
+ * const text = window.TagBlocker.applyRules(message, { depth: 0, role: 'assistant' });
+ */
+window.TagBlocker = Object.freeze({
+    version: 1,
+    /**
+     * 注册规则
+     * @param {Object} rule 规则
+     * @param {string} source 提供规则的扩展名称
+     * @returns {string} 规则ID
+     */
+    registerRule: (rule, source) => registerExternalRule(rule, source),
+    /**
+     * 移除注册的规则
+     * @param {string} id 规则ID
+     * @returns {boolean} 是否移除成功
+     */
+    unregisterRule: id => unregisterExternalRule(id),
+    /**
+     * 对文本应用所有规则
+     * @param {string} text 文本
+     * @param {{depth?: number, role?: string, target?: 'prompt'|'display'}} [options] depth为倒数楼层 (不指定时跳过设置了楼层范围的规则)，role为消息角色 (默认为system)
+     * @returns {string} 处理后的文本
+     */
+    applyRules: (text, { depth, role = 'system', target = 'prompt' } = {}) => {
+        const chat = getContext().chat || [];
+        const depthInfo = typeof depth === 'number' ? { floor: chat.length - 1 - depth, depth: depth } : null;
+        return applyTagBlockRules(String(text ?? ''), depthInfo, getPlacementForRole(role), { target: target });
+    },
+    /**
+     * 监听规则应用事件
+     * @param {(event: RuleAppliedEvent) => void} listener 监听器
+     * @returns {() => void} 取消监听的函数
+     */
+    onRuleApplied: listener => {
+        ruleAppliedListeners.add(listener);
+        return () => ruleAppliedListeners.delete(listener);
+    }
+});
+
 // 初始化扩展
 jQuery(async () => {
     if (extension_settings.disabledExtensions.includes('tag-blocker')) {
@@ -994,15 +4066,121 @@ jQuery(async () => {
         extension_settings.tag_blocker.debugMode = $(this).prop('checked');
         saveTagBlockerSettings();
     });
+    
+    // 兼容模式开关及拦截列表
+    const fetchFallbackToggle = $('#fetch-fallback-toggle');
+    fetchFallbackToggle.prop('checked', extension_settings.tag_blocker.fetchFallback === true);
+    $('#fetch-allowlist-block').toggle(extension_settings.tag_blocker.fetchFallback === true);
+    
+    fetchFallbackToggle.on('change', function() {
+        extension_settings.tag_blocker.fetchFallback = $(this).prop('checked');
+        $('#fetch-allowlist-block').toggle(extension_settings.tag_blocker.fetchFallback);
+        saveTagBlockerSettings();
+    });
+    
+    $('#fetch-allowlist').val(extension_settings.tag_blocker.fetchAllowlist.join('\n'));
+    $('#fetch-allowlist').on('input', function() {
+        extension_settings.tag_blocker.fetchAllowlist = String($(this).val())
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line);
+        saveTagBlockerSettings();
+    });
+
+    // 预算模式
+    const budgetModeToggle = $('#budget-mode-toggle');
+    budgetModeToggle.prop('checked', extension_settings.tag_blocker.budgetMode === true);
+    $('#budget-block').toggle(extension_settings.tag_blocker.budgetMode === true);
+    
+    budgetModeToggle.on('change', function() {
+        extension_settings.tag_blocker.budgetMode = $(this).prop('checked');
+        $('#budget-block').toggle(extension_settings.tag_blocker.budgetMode);
+        saveTagBlockerSettings();
+    });
+    
+    $('#budget-target').val(extension_settings.tag_blocker.budgetTarget);
+    $('#budget-target').on('input', function() {
+        extension_settings.tag_blocker.budgetTarget = Number($(this).val()) || 0;
+        saveTagBlockerSettings();
+    });
+    
+    $('#budget-unit').val(extension_settings.tag_blocker.budgetUnit);
+    $('#budget-unit').on('change', function() {
+        extension_settings.tag_blocker.budgetUnit = $(this).val() === 'tokens' ? 'tokens' : 'percent';
+        saveTagBlockerSettings();
+    });
+    updateBudgetReport();
+    
+    // 安全检查
+    $('#regex-guard-toggle').prop('checked', extension_settings.tag_blocker.regexGuard === true);
+    $('#regex-guard-toggle').on('change', function() {
+        extension_settings.tag_blocker.regexGuard = $(this).prop('checked');
+        saveTagBlockerSettings();
+    });
+    
+    $('#regex-timeout').val(extension_settings.tag_blocker.regexTimeout);
+    $('#regex-timeout').on('input', function() {
+        extension_settings.tag_blocker.regexTimeout = Number($(this).val()) || 500;
+        // 按原来的超时时间通过的检查不再有效
+        regexCheckCache.clear();
+        saveTagBlockerSettings();
+    });
+    
+    $('#removal-warning-toggle').prop('checked', extension_settings.tag_blocker.removalWarning === true);
+    $('#removal-warning-toggle').on('change', function() {
+        extension_settings.tag_blocker.removalWarning = $(this).prop('checked');
+        saveTagBlockerSettings();
+    });
+    
+    $('#removal-warning-percent').val(extension_settings.tag_blocker.removalWarningPercent);
+    $('#removal-warning-percent').on('input', function() {
+        extension_settings.tag_blocker.removalWarningPercent = Number($(this).val()) || 0;
+        saveTagBlockerSettings();
+    });
+
+    // 摘要使用的连接配置，展开时重新读取，连接配置可能在其他面板中被修改
+    updateSummaryProfileSelect();
+    $('#summary-connection-profile').on('focus', updateSummaryProfileSelect);
+    $('#summary-connection-profile').on('change', function() {
+        extension_settings.tag_blocker.summaryConnectionProfile = String($(this).val() || '');
+        saveTagBlockerSettings();
+    });
+    
+    // 规则方案
+    updateProfileSelect();
+    $('#profile-select').on('change', onProfileSelectChange);
+    $('#profile-save-button').on('click', onSaveProfileClick);
+    $('#profile-update-button').on('click', onUpdateProfileClick);
+    $('#profile-match-button').on('click', onEditProfileMatchClick);
+    $('#profile-delete-button').on('click', onDeleteProfileClick);
+    
+    $('#profile-auto-switch-toggle').prop('checked', extension_settings.tag_blocker.profileAutoSwitch === true);
+    $('#profile-auto-switch-toggle').on('change', function() {
+        extension_settings.tag_blocker.profileAutoSwitch = $(this).prop('checked');
+        saveTagBlockerSettings();
+    });
 
     // 注册事件处理程序
     $('#add-tag-button').on('click', onAddTagClick);
     $('#add-regex-button').on('click', onAddRegexClick);
-    $('#import-script-button').on('click', onImportScriptClick);
+    $('#add-extract-button').on('click', onAddExtractClick);
+    $('#add-selector-button').on('click', () => onAddStructuredClick('selector'));
+    $('#add-keypath-button').on('click', () => onAddStructuredClick('keypath'));
+    $('#import-script-button').on('click', () => onImportScriptClick(false));
+    $('#import-folder-button').on('click', () => onImportScriptClick(true));
     $('#export-rules-button').on('click', onExportRulesClick);
+    $('#preview-prompt-button').on('click', onPreviewPromptClick);
+    $('#view-log-button').on('click', onViewLogClick);
+    $('#add-group-button').on('click', onAddGroupClick);
     
     $('#scan-prompts-button').on('click', async function() {
+        if (!getCurrentChatId()) {
+            window.toastr?.warning?.('没有打开的对话');
+            return;
+        }
+        
         const count = await scanPrompts();
+        await loadPromptList();
         window.toastr?.success?.('成功扫描对话，找到 ' + count + ' 条消息');
     });
     
@@ -1012,36 +4190,32 @@ jQuery(async () => {
     });
     
     // 批量排除/包含
-    $('#exclude-all-button').on('click', function() {
-        if (!extension_settings.tag_blocker.excludedPrompts || extension_settings.tag_blocker.excludedPrompts.length === 0) {
-            window.toastr?.warning?.('没有可排除的Prompt，请先扫描对话');
+    $('#exclude-all-button').on('click', async function() {
+        if (scannedMessages.length === 0) {
+            window.toastr?.warning?.('没有可排除的消息，请先扫描对话');
             return;
         }
         
-        extension_settings.tag_blocker.excludedPrompts.forEach(prompt => {
-            prompt.excluded = true;
-        });
-        
-        saveTagBlockerSettings();
-        loadPromptList();
-        window.toastr?.success?.('已排除所有Prompt');
+        setMessagesExcluded(scannedMessages.map(prompt => prompt.messageId), true);
+        await loadPromptList();
+        window.toastr?.success?.('已排除所有消息');
     });
     
-    $('#include-all-button').on('click', function() {
-        if (!extension_settings.tag_blocker.excludedPrompts || extension_settings.tag_blocker.excludedPrompts.length === 0) {
-            window.toastr?.warning?.('没有可包含的Prompt，请先扫描对话');
+    $('#include-all-button').on('click', async function() {
+        if (scannedMessages.length === 0) {
+            window.toastr?.warning?.('没有可包含的消息，请先扫描对话');
             return;
         }
         
-        extension_settings.tag_blocker.excludedPrompts.forEach(prompt => {
-            prompt.excluded = false;
-        });
-        
-        saveTagBlockerSettings();
-        loadPromptList();
-        window.toastr?.success?.('已包含所有Prompt');
+        setMessagesExcluded(scannedMessages.map(prompt => prompt.messageId), false);
+        await loadPromptList();
+        window.toastr?.success?.('已包含所有消息');
     });
     
+    // 聊天中消息的排除按钮
+    $(document).on('click', '.tag-blocker-exclude', onMessageExcludeClick);
+    $(document).on('click', '.tag-blocker-summary', onMessageSummaryClick);
+    
     // 搜索功能
     $('#prompt-search').on('input', function() {
         const searchTerm = $(this).val().toLowerCase();
@@ -1115,11 +4289,11 @@ jQuery(async () => {
     // 尝试导入示例脚本
     try {
         const lyeanScript = extension_settings.tag_blocker.tags.find(t => 
-            t.scriptName === "【Lyean】[不发送]5楼以上除摘要外文本");
+            t.id === BUILTIN_SCRIPT_ID || t.scriptName === "【Lyean】[不发送]5楼以上除摘要外文本");
             
         if (!lyeanScript) {
             const defaultScript = {
-                id: "bb776c36-7af4-40dd-9ede-b9ececfcb184",
+                id: BUILTIN_SCRIPT_ID,
                 scriptName: "【Lyean】[不发送]5楼以上除摘要外文本",
                 findRegex: "/([\\s\\S]*?<details><summary>摘要</summary>|</details>[\\s\\S]*?$)/gs",
                 replaceString: "",
@@ -1152,8 +4326,32 @@ jQuery(async () => {
         });
     }, 1000);
 
+    registerSlashCommands();
+
     // 注册事件监听器
-    eventSource.on(event_types.GENERATE_QUEUED, interceptPrompt);
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, onChatCompletionPromptReady);
+    
+    // 记录正在进行的生成类型，用于生成类型条件
+    eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+        if (!dryRun) currentGenerationType = type || 'normal';
+    });
+    eventSource.on(event_types.GENERATION_ENDED, () => {
+        currentGenerationType = null;
+        promptEventHandledPrompts.clear();
+    });
+    eventSource.on(event_types.GENERATION_STOPPED, () => {
+        currentGenerationType = null;
+        promptEventHandledPrompts.clear();
+    });
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, onGenerateAfterCombinePrompts);
+    
+    // 显示内容处理
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, messageId => renderDisplayMessages([Number(messageId)]));
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, messageId => renderDisplayMessages([Number(messageId)]));
+    eventSource.on(event_types.MESSAGE_EDITED, messageId => renderDisplayMessages([Number(messageId)], true));
+    eventSource.on(event_types.MESSAGE_UPDATED, messageId => renderDisplayMessages([Number(messageId)], true));
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    eventSource.on(event_types.MORE_MESSAGES_LOADED, refreshDisplayedMessages);
     
     // 自动刷新事件处理器
     let debounceTimer = null;
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { applyRules, getSegmentPlacement, normalizeTag, payloadAdapters } from '../engine.js';
+
+// 各后端实际发送的请求体，segments为应提取的 [角色, 文本]
+const FIXTURES = ['openai', 'claude', 'gemini', 'kobold', 'textgen', 'novelai', 'horde'];
+
+/**
+ * 读取请求体样例
+ * @param {string} name 样例名称
+ * @returns {Promise<{url: string, adapter: string, body: Object, segments: [string, string][]}>}
+ */
+async function loadFixture(name) {
+    return JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * 与拦截请求时相同，使用第一个匹配的适配器
+ * @param {Object} body 请求体
+ * @param {string} url 请求地址
+ */
+function findAdapter(body, url) {
+    return payloadAdapters.find(item => item.detect(body, url));
+}
+
+for (const name of FIXTURES) {
+    describe(`请求格式: ${name}`, () => {
+        it('识别格式并提取所有文本', async () => {
+            const fixture = await loadFixture(name);
+            const adapter = findAdapter(fixture.body, fixture.url);
+            
+            assert.equal(adapter?.name, fixture.adapter);
+            assert.deepEqual(adapter.extract(fixture.body).map(segment => [segment.role, segment.text]), fixture.segments);
+        });
+        
+        it('处理后的文本写回请求体，其他字段保持不变', async () => {
+            const fixture = await loadFixture(name);
+            const body = structuredClone(fixture.body);
+            const rule = normalizeTag({ startTag: '<think>', endTag: '</think>', placement: [0, 1, 2] });
+            
+            for (const segment of findAdapter(body, fixture.url).extract(body)) {
+                segment.write(applyRules(segment.text, null, getSegmentPlacement(segment), { rules: [rule] }));
+            }
+            
+            const expected = JSON.parse(JSON.stringify(fixture.body).replaceAll('<think>先打个招呼</think>', ''));
+            assert.deepEqual(body, expected);
+        });
+    });
+}
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyRules, clearCompiledRules, createRuleRun, normalizeTag } from '../engine.js';
+
+const MESSAGE_COUNT = 400;
+const RULE_COUNT = 40;
+
+/**
+ * 生成包含思维链、状态栏等标签的长对话
+ * @returns {{mes: string, is_user: boolean, extra: Object}[]}
+ */
+function createChat() {
+    return Array.from({ length: MESSAGE_COUNT }, (_, floor) => ({
+        mes: floor % 2 === 0
+            ? `第${floor}楼的提问，带一点备注<note${floor % 10}>备注</note${floor % 10}>。`.repeat(5)
+            : `<think>第${floor}楼的思考过程</think>\n正文内容 ${'很长的回复 '.repeat(40)}\n<status${floor % 10}>HP: ${floor}</status${floor % 10}>`,
+        is_user: floor % 2 === 0,
+        extra: { tag_blocker_id: `message-${floor}` }
+    }));
+}
+
+/**
+ * 生成标签和正则规则各占一半的规则列表
+ * @returns {import('../engine.js').TagBlockerTag[]}
+ */
+function createRules() {
+    return Array.from({ length: RULE_COUNT }, (_, index) => {
+        // 每种标签各有两个规则，第二个规则不再匹配任何内容
+        const number = Math.floor(index / 2) % 10;
+        return normalizeTag(index % 2 === 0
+            ? { scriptName: `标签 ${index}`, startTag: `<status${number}>`, endTag: `</status${number}>`, placement: [0, 1], minDepth: index % 4 }
+            : { scriptName: `正则 ${index}`, regexPattern: `/<note${number}>([\\s\\S]*?)<\\/note${number}>/g`, replaceString: '($1)', placement: [0, 1] });
+    });
+}
+
+/**
+ * 与生成时相同，整个请求共用一份对话信息，按顺序处理所有消息
+ * @param {Object[]} chat 对话消息
+ * @param {import('../engine.js').TagBlockerTag[]} rules 规则
+ * @returns {{results: string[], ms: number}}
+ */
+function processChat(chat, rules) {
+    const run = createRuleRun({ chat: chat, excludedMessages: { 'message-0': true } });
+    const startTime = performance.now();
+    const results = chat.map((message, floor) => applyRules(message.mes, { floor: floor, depth: chat.length - 1 - floor }, message.is_user ? 0 : 1, { rules: rules, run: run }));
+    return { results: results, ms: performance.now() - startTime };
+}
+
+describe('性能', () => {
+    it(`${MESSAGE_COUNT} 条消息、${RULE_COUNT} 个规则的单次处理`, t => {
+        const chat = createChat();
+        const rules = createRules();
+        
+        clearCompiledRules();
+        const cold = processChat(chat, rules);
+        const warm = processChat(chat, rules);
+        t.diagnostic(`首次处理 ${cold.ms.toFixed(1)}ms，使用已编译的规则 ${warm.ms.toFixed(1)}ms`);
+        
+        // 编译缓存不改变处理结果
+        assert.deepEqual(warm.results, cold.results);
+        assert.equal(warm.results[0], chat[0].mes);
+        // 最近几条消息在部分规则的楼层范围之外
+        assert.ok(!warm.results.slice(1, -3).some(text => /<note|<status/.test(text)));
+        
+        // 上限很宽松，只用于发现每条消息重新编译规则之类的明显退化
+        assert.ok(warm.ms < 2000, `处理耗时 ${warm.ms.toFixed(1)}ms`);
+    });
+});
@@ -0,0 +1,239 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    applyRules,
+    createRuleRun,
+    DEFAULT_ENV,
+    exportTagToScript,
+    extractImportedScripts,
+    getRuleRegexes,
+    importScriptToTag,
+    normalizeTag,
+    PROMPT_SOURCE_PLACEMENTS,
+    RULE_BUNDLE_FORMAT,
+    RULE_BUNDLE_VERSION
+} from '../engine.js';
+
+/**
+ * 创建规则，默认应用于用户输入、AI回复和系统提示
+ * @param {Object} fields 规则字段
+ * @returns {import('../engine.js').TagBlockerTag}
+ */
+function createRule(fields) {
+    return normalizeTag({ placement: [0, 1, 2], ...fields });
+}
+
+/**
+ * 用单个规则处理文本
+ * @param {Object} fields 规则字段
+ * @param {string} text 文本
+ * @param {import('../engine.js').RuleApplyOptions & {depthInfo?: Object|null, placement?: number}} [options] 处理选项
+ * @returns {string}
+ */
+function applyRule(fields, text, { depthInfo = null, placement = 2, ...options } = {}) {
+    return applyRules(text, depthInfo, placement, { rules: [createRule(fields)], ...options });
+}
+
+describe('标签模式', () => {
+    const think = { startTag: '<think>', endTag: '</think>' };
+    
+    it('按嵌套层级移除最外层的标签块', () => {
+        assert.equal(applyRule(think, 'a<think>x<think>y</think>z</think>b'), 'ab');
+    });
+    
+    it('开始标签可以带有属性', () => {
+        assert.equal(applyRule({ startTag: '<details>', endTag: '</details>' }, '前<details open>内容</details >后'), '前后');
+    });
+    
+    it('替换文本中的 $1 为标签内容', () => {
+        assert.equal(applyRule({ ...think, replaceString: '[$1]' }, '<think>想法</think>回答'), '[想法]回答');
+    });
+    
+    it('按设置处理未闭合的标签', () => {
+        const text = '回答<think>没有结束';
+        assert.equal(applyRule(think, text), text);
+        assert.equal(applyRule({ ...think, unclosedMode: 'strip-to-end' }, text), '回答');
+        assert.equal(applyRule({ ...think, unclosedMode: 'strip-tag' }, text), '回答没有结束');
+    });
+    
+    it('只有开启忽略大小写时才匹配不同大小写的标签', () => {
+        const text = '<THINK>x</THINK>y';
+        assert.equal(applyRule(think, text), text);
+        assert.equal(applyRule({ ...think, tagCaseInsensitive: true }, text), 'y');
+    });
+});
+
+describe('正则标志', () => {
+    it('没有g标志时只替换第一处', () => {
+        assert.equal(applyRule({ regexPattern: '/a/' }, 'aaa'), 'aa');
+        assert.equal(applyRule({ regexPattern: '/a/g' }, 'aaa'), '');
+    });
+    
+    it('i标志忽略大小写', () => {
+        assert.equal(applyRule({ regexPattern: '/note/g' }, 'Note note'), 'Note ');
+        assert.equal(applyRule({ regexPattern: '/note/gi' }, 'Note note'), ' ');
+    });
+    
+    it('支持命名捕获组和修剪文本', () => {
+        const rule = { regexPattern: '/<(?<name>\\w+)>/g', replaceString: '[$<name>]', trimStrings: ['x'] };
+        assert.equal(applyRule(rule, '<box><fox>'), '[bo][fo]');
+    });
+    
+    it('按设置展开查找表达式中的宏', () => {
+        const env = { ...DEFAULT_ENV, substituteParams: (text, transform = value => value) => text.replaceAll('{{char}}', transform('A.li')) };
+        const text = 'A.li: 你好 Axli: 再见';
+        
+        assert.equal(applyRule({ regexPattern: '/{{char}}: /g', substituteRegex: 1 }, text, { env }), '你好 再见');
+        assert.equal(applyRule({ regexPattern: '/{{char}}: /g', substituteRegex: 2 }, text, { env }), '你好 Axli: 再见');
+    });
+    
+    it('无效的表达式不修改文本，只提示一次', () => {
+        const warnings = [];
+        const env = { ...DEFAULT_ENV, warn: message => warnings.push(message) };
+        const rule = { scriptName: '无效', regexPattern: '/(unclosed/g' };
+        
+        assert.equal(applyRule(rule, 'text', { env }), 'text');
+        assert.equal(applyRule(rule, 'more text', { env }), 'more text');
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /无效/);
+    });
+});
+
+describe('正则安全检查', () => {
+    it('列出规则执行的所有表达式，包括条件中的表达式', () => {
+        const conditions = { logic: 'and', items: [{ type: 'match', value: '/a+b/' }, { type: 'chat-length', value: '3' }] };
+        const sources = fields => getRuleRegexes(createRule({ conditions, ...fields })).map(regex => regex.source);
+        
+        assert.deepEqual(sources({ regexPattern: '/x+/g' }), ['x+', 'a+b']);
+        assert.equal(sources({ startTag: '<think>', endTag: '</think>' }).length, 2);
+        assert.equal(sources({ ruleType: 'extract', extractPairs: [{ startTag: '<a>', endTag: '</a>' }, { startTag: '<b>', endTag: '</b>' }] }).length, 3);
+        assert.deepEqual(sources({ ruleType: 'keypath', keyPaths: ['hp'] }), ['a+b']);
+    });
+    
+    it('不包含无效的表达式', () => {
+        assert.deepEqual(getRuleRegexes(createRule({ regexPattern: '/(unclosed/g' })), []);
+    });
+});
+
+describe('楼层范围', () => {
+    const chatLength = 10;
+    const depth = floor => ({ floor: floor, depth: chatLength - 1 - floor });
+    
+    it('默认从最新消息倒数', () => {
+        const rule = { regexPattern: '/x/g', minDepth: 2, maxDepth: 4 };
+        const applied = [9, 8, 7, 6, 5, 4, 3].map(floor => applyRule(rule, 'x', { depthInfo: depth(floor) }) === '');
+        assert.deepEqual(applied, [false, false, true, true, true, false, false]);
+    });
+    
+    it('按楼层计数时从对话开头正数', () => {
+        const rule = { regexPattern: '/x/g', minDepth: 1, maxDepth: 2, depthMode: 'floor' };
+        const applied = [0, 1, 2, 3].map(floor => applyRule(rule, 'x', { depthInfo: depth(floor) }) === '');
+        assert.deepEqual(applied, [false, true, true, false]);
+    });
+    
+    it('设置了楼层范围的规则不处理没有楼层的内容', () => {
+        assert.equal(applyRule({ regexPattern: '/x/g', maxDepth: 3 }, 'x'), 'x');
+        assert.equal(applyRule({ regexPattern: '/x/g', minDepth: 2 }, 'x'), 'x');
+    });
+    
+    it('没有楼层范围 (或最小楼层为0) 时处理所有内容', () => {
+        assert.equal(applyRule({ regexPattern: '/x/g' }, 'x'), '');
+        assert.equal(applyRule({ regexPattern: '/x/g', minDepth: 0 }, 'x'), '');
+    });
+});
+
+describe('应用位置', () => {
+    it('只处理勾选的位置', () => {
+        const rule = { regexPattern: '/x/g', placement: [1] };
+        assert.deepEqual([0, 1, 2].map(placement => applyRule(rule, 'x', { placement })), ['x', '', 'x']);
+    });
+    
+    it('世界书等细分位置与其他系统提示分开', () => {
+        const rule = { regexPattern: '/x/g', placement: [PROMPT_SOURCE_PLACEMENTS.worldInfo] };
+        assert.equal(applyRule(rule, 'x', { placement: PROMPT_SOURCE_PLACEMENTS.worldInfo }), '');
+        assert.equal(applyRule(rule, 'x', { placement: 2 }), 'x');
+        assert.equal(applyRule(rule, 'x', { placement: PROMPT_SOURCE_PLACEMENTS.character }), 'x');
+    });
+    
+    it('导入酒馆正则脚本时转换位置编号', () => {
+        const tag = importScriptToTag({ scriptName: '酒馆脚本', findRegex: '/x/g', placement: [1, 2, 3, 5, 6] });
+        assert.deepEqual(tag.placement, [0, 1, PROMPT_SOURCE_PLACEMENTS.worldInfo]);
+    });
+    
+    it('本扩展导出的规则保持位置编号', () => {
+        const rule = createRule({ regexPattern: '/x/g', placement: [2] });
+        assert.deepEqual(importScriptToTag(exportTagToScript(rule)).placement, [2]);
+    });
+    
+    it('旧版本规则包中的系统提示迁移为所有系统消息位置', () => {
+        const script = exportTagToScript(createRule({ regexPattern: '/x/g', placement: [0, 2] }));
+        const legacy = extractImportedScripts({ format: RULE_BUNDLE_FORMAT, version: 1, rules: [script] });
+        const current = extractImportedScripts({ format: RULE_BUNDLE_FORMAT, version: RULE_BUNDLE_VERSION, rules: [script] });
+        
+        assert.deepEqual(legacy[0].placement, [0, 2, ...Object.values(PROMPT_SOURCE_PLACEMENTS)]);
+        assert.deepEqual(current[0].placement, [0, 2]);
+        assert.deepEqual(script.placement, [0, 2]);
+    });
+    
+    it('注册规则时不修改位置', () => {
+        assert.deepEqual(normalizeTag({ regexPattern: '/x/g', placement: [2] }).placement, [2]);
+    });
+});
+
+describe('排除消息', () => {
+    const chat = [
+        { mes: 'x', extra: { tag_blocker_id: 'first' } },
+        { mes: 'x', extra: { tag_blocker_id: 'second' } },
+        { mes: 'x' }
+    ];
+    const run = createRuleRun({ chat: chat, excludedMessages: { second: true } });
+    const depth = floor => ({ floor: floor, depth: chat.length - 1 - floor });
+    
+    it('被排除的消息不应用任何规则', () => {
+        assert.equal(applyRule({ regexPattern: '/x/g' }, 'x', { depthInfo: depth(1), run }), 'x');
+    });
+    
+    it('其他消息正常处理', () => {
+        assert.equal(applyRule({ regexPattern: '/x/g' }, 'x', { depthInfo: depth(0), run }), '');
+        assert.equal(applyRule({ regexPattern: '/x/g' }, 'x', { depthInfo: depth(2), run }), '');
+    });
+    
+    it('恢复后重新应用规则', () => {
+        const restored = createRuleRun({ chat: chat, excludedMessages: { second: false } });
+        assert.equal(applyRule({ regexPattern: '/x/g' }, 'x', { depthInfo: depth(1), run: restored }), '');
+    });
+});
+
+describe('导入导出', () => {
+    it('导出后再导入得到相同的规则', () => {
+        const rules = [
+            createRule({ scriptName: '思维链', startTag: '<think>', endTag: '</think>', minDepth: 2, unclosedMode: 'strip-to-end' }),
+            createRule({ scriptName: '状态栏', regexPattern: '/<status>[\\s\\S]*?<\\/status>/gi', replaceString: '[状态]', enabled: false, placement: [1] }),
+            createRule({ scriptName: '提取正文', ruleType: 'extract', extractPairs: [{ startTag: '<content>', endTag: '</content>' }], extractFallback: 'drop' }),
+            createRule({ scriptName: '选择器', ruleType: 'selector', selector: 'div.status', selectorMode: 'keep', priority: 3 }),
+            createRule({ scriptName: '键路径', ruleType: 'keypath', keyPaths: ['stats.hp'], scope: 'chat', scopeTargets: ['chat-1'] })
+        ];
+        
+        for (const rule of rules) {
+            const exported = JSON.parse(JSON.stringify(exportTagToScript(rule)));
+            assert.deepEqual(importScriptToTag(exported), rule);
+        }
+    });
+    
+    it('从规则包、数组和角色卡中提取脚本', () => {
+        const script = exportTagToScript(createRule({ regexPattern: '/x/g' }));
+        const tavernScript = { scriptName: '酒馆脚本', findRegex: '/y/g', placement: [2] };
+        
+        assert.deepEqual(extractImportedScripts({ format: RULE_BUNDLE_FORMAT, version: RULE_BUNDLE_VERSION, rules: [script] }), [script]);
+        assert.deepEqual(extractImportedScripts([script, tavernScript, { unrelated: true }]), [script, tavernScript]);
+        assert.deepEqual(extractImportedScripts({ data: { extensions: { regex_scripts: [tavernScript] } } }), [tavernScript]);
+    });
+    
+    it('导入禁用的酒馆正则脚本', () => {
+        const tag = importScriptToTag({ scriptName: '酒馆脚本', findRegex: '/y/g', disabled: true, placement: [2] });
+        assert.equal(tag.enabled, false);
+        assert.equal(tag.ruleType, 'regex');
+        assert.equal(tag.regexPattern, '/y/g');
+    });
+});